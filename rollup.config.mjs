@@ -0,0 +1,10 @@
+import json from "@rollup/plugin-json";
+
+// pdf-lib's standard fonts import their metrics as JSON, which the default widget build can't bundle
+export default args => {
+    const result = args.configDefaultConfig;
+    return result.map(config => ({
+        ...config,
+        plugins: [json(), ...config.plugins]
+    }));
+};
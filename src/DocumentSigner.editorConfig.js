@@ -1,3 +1,36 @@
+import { hidePropertiesIn } from "@mendix/pluggable-widgets-tools";
+
+const ACCESS_KEY_PROPERTIES = ["awsAccessKey", "awsSecretKey", "awsRegion", "s3BucketName"];
+const PRESIGNED_URL_PROPERTIES = ["presignedGetUrl", "presignedPutUrl", "presignedSidecarPutUrl"];
+const S3_PROPERTIES = [
+    "credentialMode", ...ACCESS_KEY_PROPERTIES, ...PRESIGNED_URL_PROPERTIES, "awsSessionToken", "s3Endpoint", "forcePathStyle",
+    "fileName", "documentVersionId", "enableFileBrowser", "uploadSignedDocument", "signedFileName"
+];
+
+// Properties of each non-S3 document source
+const SOURCE_PROPERTIES = {
+    url: ["documentUrl"],
+    fileDocument: ["documentFile"],
+    base64: ["documentBase64"],
+    azureBlob: ["azureAccountName", "azureContainerName", "azureBlobName", "azureSasToken", "azureAccountKey", "azureEndpoint"],
+    gcs: ["gcsAccessKey", "gcsSecret", "gcsBucketName", "gcsObjectName", "gcsEndpoint"]
+};
+
+// Properties of each digital signature mode
+const DIGITAL_SIGNATURE_PROPERTIES = {
+    p12: ["signingCertificateFile", "signingCertificatePassword"],
+    external: ["externalSignerName"]
+};
+
+// Properties each non-S3 document source can't work without
+const REQUIRED_SOURCE_PROPERTIES = {
+    url: ["documentUrl"],
+    fileDocument: ["documentFile"],
+    base64: ["documentBase64"],
+    azureBlob: ["azureAccountName", "azureContainerName", "azureBlobName"],
+    gcs: ["gcsAccessKey", "gcsSecret", "gcsBucketName", "gcsObjectName"]
+};
+
 /**
  * @typedef Property
  * @type {object}
@@ -47,34 +80,126 @@
  * @returns {Properties}
  */
 export function getProperties(values, defaultProperties, target) {
-    // Do the values manipulation here to control the visibility of properties in Studio and Studio Pro conditionally.
-    /* Example
-    if (values.myProperty === "custom") {
-        delete defaultProperties.properties.myOtherProperty;
+    const documentSource = values.documentSource || "s3";
+    const digitalSignatureMode = values.digitalSignatureMode || "none";
+
+    // Only show the properties used by the selected digital signature mode
+    hidePropertiesIn(defaultProperties, values, Object.keys(DIGITAL_SIGNATURE_PROPERTIES)
+        .filter(mode => mode !== digitalSignatureMode)
+        .flatMap(mode => DIGITAL_SIGNATURE_PROPERTIES[mode]));
+    if (digitalSignatureMode === "none") {
+        hidePropertiesIn(defaultProperties, values, ["signatureReason", "signatureLocation"]);
+    }
+
+    // Only show the properties used by the selected document source
+    hidePropertiesIn(defaultProperties, values, Object.keys(SOURCE_PROPERTIES)
+        .filter(source => source !== documentSource)
+        .flatMap(source => SOURCE_PROPERTIES[source]));
+
+    if (documentSource !== "s3") {
+        hidePropertiesIn(defaultProperties, values, S3_PROPERTIES);
+        return defaultProperties;
+    }
+
+    // Only show the properties used by the selected credential mode
+    if (values.credentialMode === "presignedUrl") {
+        hidePropertiesIn(defaultProperties, values, [...ACCESS_KEY_PROPERTIES, "awsSessionToken", "s3Endpoint", "forcePathStyle", "signedFileName", "enableFileBrowser", "documentVersionId"]);
+    } else {
+        hidePropertiesIn(defaultProperties, values, PRESIGNED_URL_PROPERTIES);
     }
-    */
     return defaultProperties;
 }
 
-// /**
-//  * @param {Object} values
-//  * @returns {Problem[]} returns a list of problems.
-//  */
-// export function check(values) {
-//    /** @type {Problem[]} */
-//    const errors = [];
-//    // Add errors to the above array to throw errors in Studio and Studio Pro.
-//    /* Example
-//    if (values.myProperty !== "custom") {
-//        errors.push({
-//            property: `myProperty`,
-//            message: `The value of 'myProperty' is different of 'custom'.`,
-//            url: "https://github.com/myrepo/mywidget"
-//        });
-//    }
-//    */
-//    return errors;
-// }
+/**
+ * @param {Object} values
+ * @returns {Problem[]} returns a list of problems.
+ */
+export function check(values) {
+    /** @type {Problem[]} */
+    const errors = [];
+
+    (values.anchorRules || []).forEach((rule, index) => {
+        if (!rule.isRegex || !rule.anchorText) return;
+        try {
+            RegExp(rule.anchorText);
+        } catch (error) {
+            errors.push({
+                property: `anchorRules/${index + 1}/anchorText`,
+                message: `Anchor rule ${index + 1} is not a valid regular expression: ${error.message}`
+            });
+        }
+    });
+
+    if (values.digitalSignatureMode === "p12" && !values.signingCertificateFile) {
+        errors.push({
+            property: "signingCertificateFile",
+            message: "The 'signingCertificateFile' property is required for PKCS#12 digital signatures."
+        });
+    }
+    if (values.digitalSignatureMode === "external" && !values.externalSignerName) {
+        errors.push({
+            property: "externalSignerName",
+            message: "The 'externalSignerName' property is required for an external signer."
+        });
+    }
+
+    if (values.timestampAuthorityUrl && !/^https?:\/\//i.test(values.timestampAuthorityUrl)) {
+        errors.push({
+            property: "timestampAuthorityUrl",
+            message: "The 'timestampAuthorityUrl' property must be an http:// or https:// URL."
+        });
+    }
+
+    const documentSource = values.documentSource || "s3";
+    if (documentSource !== "s3") {
+        REQUIRED_SOURCE_PROPERTIES[documentSource].forEach(property => {
+            if (!values[property]) {
+                errors.push({
+                    property,
+                    message: `The '${property}' property is required for the selected document source.`
+                });
+            }
+        });
+        if (documentSource === "azureBlob" && !values.azureSasToken && !values.azureAccountKey) {
+            errors.push({
+                property: "azureSasToken",
+                message: "Either the 'azureSasToken' or the 'azureAccountKey' property is required for Azure Blob Storage."
+            });
+        }
+        return errors;
+    }
+
+    const requiredProperties = values.credentialMode === "presignedUrl"
+        ? ["presignedGetUrl"]
+        : [...ACCESS_KEY_PROPERTIES, "fileName"];
+
+    requiredProperties.forEach(property => {
+        if (!values[property]) {
+            errors.push({
+                property,
+                message: `The '${property}' property is required for the selected credential mode.`
+            });
+        }
+    });
+
+    if (values.credentialMode === "presignedUrl" && values.uploadSignedDocument) {
+        if (!values.presignedPutUrl) {
+            errors.push({
+                property: "presignedPutUrl",
+                message: "The 'presignedPutUrl' property is required to upload the signed document with presigned URLs."
+            });
+        }
+        if (!values.presignedSidecarPutUrl) {
+            errors.push({
+                property: "presignedSidecarPutUrl",
+                severity: "warning",
+                message: "Without the 'presignedSidecarPutUrl' property the sidecar JSON with the field data and audit trail is not uploaded."
+            });
+        }
+    }
+
+    return errors;
+}
 
 // /**
 //  * @param {object} values
@@ -1,7 +1,35 @@
-import { createElement, useCallback, useEffect, useState, useRef } from "react";
+import { createElement, useCallback, useEffect, useMemo, useState, useRef } from "react";
 import DocumentViewer from "./components/DocumentViewer";
 import SignatureModal from "./components/SignatureModal";
-import { downloadFromS3 } from "./utils/s3-downloader";
+import S3FileBrowser from "./components/S3FileBrowser";
+import SignaturePanel from "./components/SignaturePanel";
+import DocumentDetailsPanel from "./components/DocumentDetailsPanel";
+import { isAbortError } from "./utils/s3-downloader";
+import { clearDocumentCache, downloadWithCache } from "./utils/document-cache";
+import { openRangeDocument } from "./utils/s3-range-transport";
+import {
+    DOCUMENT_SOURCE_TYPES,
+    toS3Config,
+    createS3DocumentSource,
+    createUrlDocumentSource,
+    createFileDocumentSource,
+    createBase64DocumentSource,
+    createAzureBlobDocumentSource,
+    createGcsDocumentSource
+} from "./utils/document-sources";
+import { uploadToS3, uploadWithPresignedUrl, getSignedFileName, getSidecarFileName } from "./utils/s3-uploader";
+import { appendFieldsToSignedPdf, flattenFieldsToPdf, uint8ArrayToBase64 } from "./utils/pdf-flattener";
+import { boxFromViewArray, normalizeRotation } from "./utils/pdf-geometry";
+import { buildFieldDataEnvelope, serializeFieldData, parseFieldData } from "./utils/field-data-schema";
+import { exportFieldsToXfdf, importFieldsFromXfdf } from "./utils/xfdf";
+import { detectFormFields } from "./utils/acroform";
+import { placeFieldsFromAnchors, ANCHOR_FIELD_ID_PREFIX } from "./utils/anchor-placement";
+import { signPdf, createP12Signer, createExternalSigner } from "./utils/pades-signer";
+import { requestTimestamp } from "./utils/timestamp-client";
+import { verifyPdfSignatures } from "./utils/signature-verifier";
+import { hashDocument } from "./utils/document-hash";
+import { formatBytes } from "./utils/format-bytes";
+import { AUDIT_EVENT_TYPES, createAuditEvent, buildAuditTrail, appendAuditTrailPages } from "./utils/audit-trail";
 import calenderIcon from "../src/assets/calender-svgrepo-com.svg"
 import signatureIcon from "../src/assets/signature-svgrepo-com.svg"
 import nameIcon from "../src/assets/text-svgrepo-com.svg"
@@ -10,14 +38,305 @@ import "./ui/DocumentSigner.css";
 // Global counter for widget instances (like PDF Annotations)
 let globalWidgetCounter = 0;
 
+// Human-readable remaining time ("12s", "3m 5s")
+const formatDuration = (seconds) => {
+    const rounded = Math.ceil(seconds);
+    if (rounded < 60) return `${rounded}s`;
+    return `${Math.floor(rounded / 60)}m ${rounded % 60}s`;
+};
+
+// Azure Blob Storage error codes (AuthenticationFailed, BlobNotFound, ...) to troubleshooting details
+const getAzureErrorDetails = (message, azureConfig) => {
+    const { accountName, containerName, blobName, sasToken, endpoint } = azureConfig;
+
+    if (message.includes('AuthenticationFailed')) {
+        return {
+            message: sasToken ? "The SAS token was rejected by Azure Storage" : "Azure Storage rejected the account key signature",
+            steps: sasToken
+                ? [
+                    "Check the SAS token has not expired (se parameter)",
+                    "Verify the SAS grants read (r) permission on the blob or container",
+                    `Check the SAS was issued for storage account '${accountName}'`
+                ]
+                : [
+                    "Verify the storage account name and key are correct",
+                    "Set your device's date and time to update automatically"
+                ]
+        };
+    }
+    if (message.includes('ContainerNotFound')) {
+        return {
+            message: `Container '${containerName}' not found in storage account '${accountName}'`,
+            steps: ["Verify the container name (names are lowercase)", "Ensure you're using the right storage account"]
+        };
+    }
+    if (message.includes('BlobNotFound') || message.includes('404')) {
+        return {
+            message: `Blob '${blobName}' not found in container '${containerName}'`,
+            steps: ["Verify the blob exists in the container", "Check the blob path is correct, including virtual folders"]
+        };
+    }
+    if (message.includes('Authorization') || message.includes('403')) {
+        return {
+            message: `Access denied to Azure container '${containerName}'`,
+            steps: [
+                "Verify the SAS token or account key has read permission",
+                "Check the storage account firewall allows this client",
+                "Verify the storage account CORS rules allow this app"
+            ]
+        };
+    }
+    if (message.includes('Network') || message.includes('fetch')) {
+        return {
+            message: `Network error: Cannot connect to Azure Storage account '${accountName}'`,
+            steps: [
+                "Check your internet connection",
+                "Verify the Blob service CORS rules allow GET from this app",
+                endpoint ? "Verify the custom endpoint (e.g. Azurite) is running and reachable" : "Verify the storage account name is correct"
+            ]
+        };
+    }
+    return { message: `Failed to load document: ${message}`, steps: [] };
+};
+
+// Google Cloud Storage XML API error codes to troubleshooting details
+const getGcsErrorDetails = (message, gcsConfig) => {
+    const { bucketName, objectName, endpoint } = gcsConfig;
+
+    if (message.includes('RequestTimeTooSkewed')) {
+        return {
+            message: "Your device clock is out of sync with Google Cloud Storage",
+            steps: ["Set your device's date and time to update automatically", "Reload the page and try again"]
+        };
+    }
+    if (message.includes('SignatureDoesNotMatch') || message.includes('InvalidSecurity') || message.includes('InvalidAccessKeyId')) {
+        return {
+            message: "Google Cloud Storage rejected the HMAC signature",
+            steps: [
+                "Verify the HMAC access ID and secret",
+                "Check the HMAC key is active",
+                "Set your device's date and time to update automatically"
+            ]
+        };
+    }
+    if (message.includes('NoSuchBucket')) {
+        return {
+            message: `Bucket '${bucketName}' not found in Google Cloud Storage`,
+            steps: ["Verify the bucket name", "Ensure the HMAC key belongs to the bucket's project"]
+        };
+    }
+    if (message.includes('NoSuchKey') || message.includes('404')) {
+        return {
+            message: `Object '${objectName}' not found in bucket '${bucketName}'`,
+            steps: ["Verify the object exists in the bucket", "Check the object path is correct"]
+        };
+    }
+    if (message.includes('AccessDenied') || message.includes('403')) {
+        return {
+            message: `Access denied to GCS bucket '${bucketName}'`,
+            steps: [
+                "Grant the HMAC key's service account storage.objects.get on the bucket",
+                "Verify the bucket CORS configuration allows this app"
+            ]
+        };
+    }
+    if (message.includes('Network') || message.includes('fetch')) {
+        return {
+            message: endpoint
+                ? `Network error: Cannot connect to '${endpoint}'`
+                : "Network error: Cannot connect to Google Cloud Storage",
+            steps: [
+                "Check your internet connection",
+                endpoint ? "Verify the emulator endpoint is running and reachable" : "Verify the bucket CORS configuration allows this app",
+                "Try again in a few minutes"
+            ]
+        };
+    }
+    return { message: `Failed to load document: ${message}`, steps: [] };
+};
+
+// Map a download error to a user-friendly message and troubleshooting steps
+const getDownloadErrorDetails = (err, source) => {
+    const message = err.message;
+
+    // Errors shared by every HTTP source
+    if (message.includes('SlowDown') || message.includes('503') || message.includes('429')) {
+        return {
+            message: source.type === DOCUMENT_SOURCE_TYPES.S3
+                ? "S3 is throttling requests - the document could not be downloaded after several retries"
+                : "The server is throttling requests - the document could not be downloaded after several retries",
+            steps: [
+                "Wait a moment and try again",
+                "Check whether other processes are making many requests to this server"
+            ]
+        };
+    }
+
+    if (source.type === DOCUMENT_SOURCE_TYPES.BASE64) {
+        return {
+            message: "The Base64 document attribute does not contain valid Base64 data",
+            steps: [
+                "Verify the attribute holds the PDF encoded as Base64",
+                "Use an unlimited String attribute so the value isn't truncated"
+            ]
+        };
+    }
+
+    if (source.type === DOCUMENT_SOURCE_TYPES.AZURE_BLOB) {
+        return getAzureErrorDetails(message, source.config);
+    }
+
+    if (source.type === DOCUMENT_SOURCE_TYPES.GCS) {
+        return getGcsErrorDetails(message, source.config);
+    }
+
+    if (source.type !== DOCUMENT_SOURCE_TYPES.S3) {
+        const sourceName = source.type === DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT ? "file document" : "document URL";
+
+        if (/\b40[13]\b/.test(message)) {
+            return {
+                message: `Access denied to the ${sourceName}`,
+                steps: source.type === DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT
+                    ? ["Check the user role has read access to the file document entity"]
+                    : ["Check the URL does not require credentials the browser can't send", "Verify any token in the URL has not expired"]
+            };
+        }
+        if (message.includes('404')) {
+            return {
+                message: `The ${sourceName} was not found`,
+                steps: source.type === DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT
+                    ? ["Verify the file document has contents", "Check the object was committed before opening the page"]
+                    : ["Verify the document URL is correct", "Try opening the URL directly in your browser"]
+            };
+        }
+        if (message.includes('Network') || message.includes('fetch')) {
+            return {
+                message: `Network error: Cannot reach the ${sourceName}`,
+                steps: [
+                    "Check your internet connection",
+                    "Verify the server allows cross-origin requests (CORS) from this app",
+                    "Try again in a few minutes"
+                ]
+            };
+        }
+        return { message: `Failed to load document: ${message}`, steps: [] };
+    }
+
+    const awsConfig = source.config;
+
+    if (message.includes('RequestTimeTooSkewed')) {
+        return {
+            message: "Your device clock is out of sync with AWS",
+            steps: [
+                "Set your device's date and time to update automatically",
+                "Check the time zone setting of your device",
+                "Reload the page and try again"
+            ]
+        };
+    }
+    if (/\b50[024]\b/.test(message) || message.includes('InternalError')) {
+        return {
+            message: "S3 returned a server error after several retries",
+            steps: [
+                "Try again in a few minutes",
+                "Check the AWS Health Dashboard for S3 issues in your region"
+            ]
+        };
+    }
+    if (awsConfig.mode === "presignedUrl" && (message.includes('403') || message.includes('400'))) {
+        return {
+            message: "The presigned URL was rejected by S3",
+            steps: [
+                "Check the presigned URL has not expired",
+                "Verify the backend signs the URL for s3:GetObject on the right key",
+                "Verify CORS configuration on S3 bucket"
+            ]
+        };
+    }
+    if (message.includes('Access denied') || message.includes('403')) {
+        return {
+            message: `Access denied to S3 bucket '${awsConfig.bucketName}'`,
+            steps: [
+                ...(awsConfig.sessionToken ? ["Check the temporary credentials and session token have not expired"] : []),
+                "Verify IAM permissions for s3:GetObject",
+                "Check bucket policy allows access",
+                "Ensure bucket and file exist",
+                "Verify CORS configuration on S3 bucket"
+            ]
+        };
+    }
+    if (message.includes('NoSuchVersion') || message.includes('Version mismatch') ||
+        (awsConfig.versionId && message.includes('InvalidArgument'))) {
+        return {
+            message: `Version '${awsConfig.versionId}' of '${awsConfig.fileName}' could not be loaded`,
+            steps: [
+                "Verify the Document Version ID belongs to this file",
+                "Check the version has not been deleted",
+                "Ensure versioning is enabled on the bucket"
+            ]
+        };
+    }
+    if (message.includes('not found') || message.includes('404')) {
+        return {
+            message: `File '${awsConfig.fileName}' not found in bucket`,
+            steps: [
+                "Verify the file exists in the S3 bucket",
+                "Check the file path is correct",
+                "Ensure you're using the right bucket"
+            ]
+        };
+    }
+    if (message.includes('Network') || message.includes('fetch')) {
+        return {
+            message: awsConfig.endpoint
+                ? `Network error: Cannot connect to S3 endpoint '${awsConfig.endpoint}'`
+                : "Network error: Cannot connect to AWS S3",
+            steps: [
+                "Check your internet connection",
+                awsConfig.endpoint ? "Verify the custom endpoint is reachable and allows CORS" : "Verify AWS region is correct",
+                "Try again in a few minutes"
+            ]
+        };
+    }
+    return { message: `Failed to load document: ${message}`, steps: [] };
+};
+
 export default function DocumentSigner(props) {
     const [pdfUrl, setPdfUrl] = useState("");
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState("");
     const [loadingStatus, setLoadingStatus] = useState("Initializing widget...");
     const [downloadProgress, setDownloadProgress] = useState(0);
+    const [transferStats, setTransferStats] = useState(null);
     const [debugInfo, setDebugInfo] = useState([]);
     const [droppedFields, setDroppedFields] = useState([]);
+    const [isFinalizing, setIsFinalizing] = useState(false);
+    const [finalizeStatus, setFinalizeStatus] = useState(null);
+    const [isBrowsingFiles, setIsBrowsingFiles] = useState(false);
+
+    // Displayed size, rotation and crop box of every page, recorded once the document loads
+    const [pageGeometry, setPageGeometry] = useState([]);
+
+    // RFC 3161 timestamp of the last signed document, kept in the field data when there is no digital signature to carry it
+    const [documentTimestamp, setDocumentTimestamp] = useState(null);
+
+    // Digital signatures the loaded document already carries, with their verification results
+    const [existingSignatures, setExistingSignatures] = useState([]);
+    const [isVerifyingSignatures, setIsVerifyingSignatures] = useState(false);
+
+    // SHA-256 of the loaded document ({ sha256, size }) and the one recorded in the field data when the fields were placed
+    const [documentHash, setDocumentHash] = useState(null);
+    const [expectedDocumentHash, setExpectedDocumentHash] = useState(null);
+    const [isHashingDocument, setIsHashingDocument] = useState(false);
+
+    // Whether the document came from the browser cache ({ isStale }), so an offline copy can be flagged
+    const [cachedCopy, setCachedCopy] = useState(null);
+
+    // Field data that could not be read (invalid JSON or a newer schema); it is never overwritten
+    const [fieldDataError, setFieldDataError] = useState(null);
+
+    // History of the document for the audit trail, kept in the field data across sessions
+    const [auditEvents, setAuditEvents] = useState([]);
     
     // Signature modal state - moved to parent for auto-open on drop
     const [showSignatureModal, setShowSignatureModal] = useState(false);
@@ -36,11 +355,38 @@ export default function DocumentSigner(props) {
 
     // Track previous blob URL for cleanup
     const previousBlobUrl = useRef(null);
+
+    // Original PDF bytes, kept for generating the signed document (null while range loading)
+    const documentBytesRef = useRef(null);
+
+    // S3 version ID of the loaded document, recorded on every placed field
+    const documentVersionRef = useRef(null);
+
+    // pdf.js document of the loaded PDF, used to read the full bytes after range loading
+    const pdfDocumentRef = useRef(null);
+
+    // Source of the loaded document, identifying it in the field data
+    const documentSourceRef = useRef(null);
+
+    // AWS config of the loaded S3 document, reused for uploading the result (null for other sources)
+    const awsConfigRef = useRef(null);
+
+    // Controller of the in-flight download, aborted when the document changes
+    const downloadAbortRef = useRef(null);
     
     // Memory optimization refs for sync
     const previousJsonRef = useRef("");
     const syncTimeoutRef = useRef(null);
 
+    // Ids of anchor fields the user removed; they are placed again on every load
+    const dismissedFieldIdsRef = useRef([]);
+
+    // Fields last restored from fieldDataOutput; null until restored (or while the field data is unreadable), which keeps sync off
+    const hydratedFieldsRef = useRef(null);
+
+    // Last XFDF imported or exported, so the widget's own export isn't imported again
+    const previousXfdfRef = useRef("");
+
     // Helper to create drag preview
         const createDragPreview = useCallback((e, text, style) => {
         const preview = document.createElement('div');
@@ -75,15 +421,12 @@ export default function DocumentSigner(props) {
         };
     }, [addDebugLog]);
 
-    // Validate PDF blob before displaying (like PDF Annotations)
-    const validatePdfBlob = useCallback(async (pdfBlob) => {
+    // Validate PDF bytes before displaying (like PDF Annotations)
+    const validatePdfBytes = useCallback((uint8Array) => {
         try {
-            const arrayBuffer = await pdfBlob.arrayBuffer();
-            const uint8Array = new Uint8Array(arrayBuffer);
-            
-            // Check PDF signature (%PDF)
+            // Check PDF signature (%PDF) without copying the document
             const pdfSignature = "%PDF";
-            const header = new TextDecoder().decode(uint8Array.slice(0, 4));
+            const header = new TextDecoder().decode(uint8Array.subarray(0, 4));
             
             if (header === pdfSignature) {
                 addDebugLog("✅ PDF validation successful");
@@ -98,53 +441,156 @@ export default function DocumentSigner(props) {
         }
     }, [addDebugLog]);
 
-    // Function to download the S3 file (enhanced like PDF Annotations)
-    const downloadPdfFromS3 = useCallback(async (awsConfig) => {
+    // S3 config for the file browser, available once the credentials and bucket are known
+    const fileBrowserConfig = useMemo(() => {
+        const isS3Source = (props.documentSource || DOCUMENT_SOURCE_TYPES.S3) === DOCUMENT_SOURCE_TYPES.S3;
+        if (!props.enableFileBrowser || !isS3Source || props.credentialMode === "presignedUrl") {
+            return null;
+        }
+
+        const credentials = [props.awsAccessKey, props.awsSecretKey, props.awsRegion, props.s3BucketName];
+        if (!credentials.every(attribute => attribute?.status === "available" && attribute?.value)) {
+            return null;
+        }
+
+        return {
+            s3Config: toS3Config({
+                accessKeyId: props.awsAccessKey.value.trim(),
+                secretAccessKey: props.awsSecretKey.value.trim(),
+                region: props.awsRegion.value.trim(),
+                sessionToken: props.awsSessionToken?.value?.trim() || null,
+                endpoint: props.s3Endpoint?.value?.trim() || null,
+                forcePathStyle: props.forcePathStyle
+            }),
+            bucketName: props.s3BucketName.value.trim()
+        };
+    }, [
+        props.enableFileBrowser,
+        props.documentSource,
+        props.credentialMode,
+        props.awsAccessKey?.status, props.awsAccessKey?.value,
+        props.awsSecretKey?.status, props.awsSecretKey?.value,
+        props.awsRegion?.status, props.awsRegion?.value,
+        props.s3BucketName?.status, props.s3BucketName?.value,
+        props.awsSessionToken?.value,
+        props.s3Endpoint?.value,
+        props.forcePathStyle
+    ]);
+
+    const canChooseFile = Boolean(fileBrowserConfig && props.fileName?.setValue && !props.fileName.readOnly);
+
+    const enableDocumentCache = Boolean(props.enableDocumentCache);
+    const enableProgressiveLoading = Boolean(props.enableProgressiveLoading);
+
+    // Function to load the document from its source (enhanced like PDF Annotations)
+    const loadDocument = useCallback(async (source) => {
+        // Cancel any earlier download so it can't overwrite this document
+        if (downloadAbortRef.current) {
+            downloadAbortRef.current.abort();
+        }
+        const abortController = new AbortController();
+        downloadAbortRef.current = abortController;
+        const { signal } = abortController;
+
         setIsLoading(true);
         setError("");
         setDownloadProgress(0);
+        setTransferStats(null);
+        setCachedCopy(null);
         setLoadingStatus("Initializing document downloader...");
         
         try {
-            addDebugLog("🚀 Starting PDF download from S3...");
-            addDebugLog(`📁 File: ${awsConfig.fileName}`);
-            addDebugLog(`🪣 Bucket: ${awsConfig.bucketName}`);
-            addDebugLog(`🌍 Region: ${awsConfig.region}`);
+            addDebugLog(`🚀 Starting PDF download (${source.label})...`);
+            if (source.type === DOCUMENT_SOURCE_TYPES.S3 && source.config.mode === "presignedUrl") {
+                addDebugLog("🔗 Using backend-issued presigned URL");
+            } else if (source.type === DOCUMENT_SOURCE_TYPES.S3) {
+                addDebugLog(`📁 File: ${source.config.fileName}`);
+                addDebugLog(`🪣 Bucket: ${source.config.bucketName}`);
+                addDebugLog(`🌍 Region: ${source.config.region}`);
+            } else {
+                addDebugLog(`📁 File: ${source.name}`);
+            }
 
             setLoadingStatus("Downloading PDF file...");
 
-            const result = await downloadFromS3(
-                {
-                    accessKey: awsConfig.accessKeyId,
-                    secretKey: awsConfig.secretAccessKey,
-                    region: awsConfig.region
-                },
-                awsConfig.bucketName,
-                awsConfig.fileName,
-                (progress, status, presignedUrl) => {
-                    setDownloadProgress(Math.min(progress, 90)); // Cap at 90% until validation
-                    setLoadingStatus(status);
-                    
-                    if (progress % 20 === 0 || progress === 100) {
-                        addDebugLog(`📊 Download progress: ${progress}% - ${status}`);
-                    }
+            let lastLoggedProgress = -1;
+            const handleProgress = (progress, status, presignedUrl, transfer) => {
+                if (signal.aborted) return;
+                setDownloadProgress(Math.min(progress, 90)); // Cap at 90% until validation
+                setLoadingStatus(status);
+                if (transfer) setTransferStats(transfer);
+                
+                // Streamed progress repeats values, so log each milestone once
+                if ((progress % 20 === 0 || progress === 100) && progress !== lastLoggedProgress) {
+                    lastLoggedProgress = progress;
+                    addDebugLog(`📊 Download progress: ${progress}% - ${status}`);
                 }
-            );
+            };
 
-            addDebugLog(`✅ File downloaded - Size: ${result.size} bytes, Type: ${result.contentType}`);
+            const download = (ifNoneMatch) => source.download(handleProgress, { signal, ifNoneMatch });
 
-            // Create PDF blob
-            setLoadingStatus("Preparing PDF for display...");
-            setDownloadProgress(92);
+            // Range loading fetches what pdf.js needs, so it bypasses the full-document cache
+            const openRange = () => openRangeDocument(source.createRangeFetcher(), source.label, {
+                signal,
+                onError: (rangeError) => {
+                    addDebugLog(`❌ Range request failed: ${rangeError.message}`);
+                    setError({
+                        message: "The document could not be fully loaded",
+                        steps: [
+                            "Reload the page and try again",
+                            "Verify the server's CORS configuration allows the Range and If-Match headers and exposes Content-Range and ETag",
+                            "Disable progressive loading if the problem persists"
+                        ]
+                    });
+                }
+            });
 
-            const pdfBlob = new Blob([result.buffer], { type: 'application/pdf' });
-            addDebugLog(`📄 Created PDF Blob: ${pdfBlob.size} bytes`);
+            const result = enableProgressiveLoading && source.createRangeFetcher
+                ? await openRange()
+                : enableDocumentCache && source.cacheKey
+                    ? await downloadWithCache(source.cacheKey, download)
+                    : await download(null);
+
+            // Discard results of a download that was superseded while finishing
+            if (signal.aborted) {
+                addDebugLog(`🚫 Discarding stale download of ${source.name}`);
+                return;
+            }
+
+            if (result.fromCache) {
+                addDebugLog(`📦 Using cached document${result.isStale ? " (offline, not revalidated)" : " (ETag unchanged)"} - Size: ${result.size} bytes`);
+            } else if (result.transport) {
+                addDebugLog(`📑 Progressive loading - first ${result.buffer.length} of ${result.size} bytes received`);
+            } else {
+                addDebugLog(`✅ File downloaded - Size: ${result.size} bytes, Type: ${result.contentType}`);
+            }
+            if (result.isCached === false) {
+                addDebugLog("📦 Document not cached: ETag header is not readable (expose ETag in the bucket CORS configuration)");
+            }
+            setCachedCopy(result.fromCache ? { isStale: result.isStale } : null);
+
+            // A pinned version must come back as that exact version
+            if (source.versionId && result.versionId && result.versionId !== source.versionId) {
+                throw new Error(`Version mismatch: requested ${source.versionId}, received ${result.versionId}`);
+            }
+            documentVersionRef.current = result.versionId || source.versionId || null;
+            if (source.type === DOCUMENT_SOURCE_TYPES.S3) {
+                addDebugLog(documentVersionRef.current
+                    ? `🏷️ Document version: ${documentVersionRef.current}${source.versionId ? " (pinned)" : ""}`
+                    : "🏷️ Document version not available (bucket unversioned or x-amz-version-id not exposed in CORS)");
+            }
+
+            documentBytesRef.current = result.transport ? null : result.buffer;
+            documentSourceRef.current = source;
+            pdfDocumentRef.current = null;
+            setPageGeometry([]);
+            setDocumentHash(null);
 
             // Validate PDF before displaying (like PDF Annotations)
             setLoadingStatus("Validating PDF...");
-            setDownloadProgress(95);
+            setDownloadProgress(92);
             
-            const isValidPdf = await validatePdfBlob(pdfBlob);
+            const isValidPdf = validatePdfBytes(result.buffer);
             if (!isValidPdf) {
                 addDebugLog("⚠️ PDF validation failed, but proceeding anyway");
             }
@@ -152,9 +598,28 @@ export default function DocumentSigner(props) {
             // Revoke previous blob URL if exists
             if (previousBlobUrl.current) {
                 URL.revokeObjectURL(previousBlobUrl.current);
+                previousBlobUrl.current = null;
                 addDebugLog("🧹 Revoked previous blob URL");
             }
 
+            // Large documents render through the range transport without a full copy
+            if (result.transport) {
+                setPdfUrl({ range: result.transport });
+                setError("");
+                setIsLoading(false);
+                setDownloadProgress(100);
+                setLoadingStatus("Document ready!");
+                addDebugLog("🎉 Document ready for viewing (remaining pages load on demand)");
+                return;
+            }
+
+            // Create PDF blob
+            setLoadingStatus("Preparing PDF for display...");
+            setDownloadProgress(95);
+
+            const pdfBlob = new Blob([result.buffer], { type: 'application/pdf' });
+            addDebugLog(`📄 Created PDF Blob: ${pdfBlob.size} bytes`);
+
             // Create new blob URL
             const pdfBlobUrl = URL.createObjectURL(pdfBlob);
             previousBlobUrl.current = pdfBlobUrl;
@@ -170,73 +635,148 @@ export default function DocumentSigner(props) {
             addDebugLog("🎉 Document ready for viewing!");
 
         } catch (err) {
+            if (isAbortError(err) || signal.aborted) {
+                addDebugLog(`🚫 Download cancelled: ${source.name}`);
+                return;
+            }
+
             addDebugLog(`❌ Download failed: ${err.message}`);
             console.error("Download Failed:", err);
             
             // Enhanced error handling (like PDF Annotations)
-            let userFriendlyError = `Failed to load document: ${err.message}`;
-            let troubleshootingSteps = [];
-            
-            if (err.message.includes('Access denied') || err.message.includes('403')) {
-                userFriendlyError = `Access denied to S3 bucket '${awsConfig.bucketName}'`;
-                troubleshootingSteps = [
-                    "Verify IAM permissions for s3:GetObject",
-                    "Check bucket policy allows access",
-                    "Ensure bucket and file exist",
-                    "Verify CORS configuration on S3 bucket"
-                ];
-            } else if (err.message.includes('not found') || err.message.includes('404')) {
-                userFriendlyError = `File '${awsConfig.fileName}' not found in bucket`;
-                troubleshootingSteps = [
-                    "Verify the file exists in the S3 bucket",
-                    "Check the file path is correct",
-                    "Ensure you're using the right bucket"
-                ];
-            } else if (err.message.includes('Network') || err.message.includes('fetch')) {
-                userFriendlyError = "Network error: Cannot connect to AWS S3";
-                troubleshootingSteps = [
-                    "Check your internet connection",
-                    "Verify AWS region is correct",
-                    "Try again in a few minutes"
-                ];
-            }
-            
-            setError({ message: userFriendlyError, steps: troubleshootingSteps });
+            setError(getDownloadErrorDetails(err, source));
             setIsLoading(false);
             setDownloadProgress(0);
         }
-    }, [addDebugLog, validatePdfBlob]);
+    }, [enableDocumentCache, enableProgressiveLoading, addDebugLog, validatePdfBytes]);
 
     // Check props and trigger download (like PDF Annotations)
     useEffect(() => {
-        addDebugLog("🔧 Checking configuration...");
-        addDebugLog(`Props status - AccessKey: ${props.awsAccessKey?.status}, SecretKey: ${props.awsSecretKey?.status}, Region: ${props.awsRegion?.status}, Bucket: ${props.s3BucketName?.status}, File: ${props.fileName?.status}`);
+        const documentSource = props.documentSource || DOCUMENT_SOURCE_TYPES.S3;
+        const useS3 = documentSource === DOCUMENT_SOURCE_TYPES.S3;
+        const usePresignedUrl = useS3 && props.credentialMode === "presignedUrl";
+
+        addDebugLog(`🔧 Checking configuration (document source: ${documentSource})...`);
+        if (usePresignedUrl) {
+            addDebugLog(`Props status - Presigned GET URL: ${props.presignedGetUrl?.status}`);
+        } else if (useS3) {
+            addDebugLog(`Props status - AccessKey: ${props.awsAccessKey?.status}, SecretKey: ${props.awsSecretKey?.status}, Region: ${props.awsRegion?.status}, Bucket: ${props.s3BucketName?.status}, File: ${props.fileName?.status}`);
+        }
+
+        // Attributes that must have a value before downloading, per document source and credential mode
+        let requiredAttributes;
+        if (documentSource === DOCUMENT_SOURCE_TYPES.URL) {
+            requiredAttributes = [{ attribute: props.documentUrl, label: "Document URL" }];
+        } else if (documentSource === DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT) {
+            requiredAttributes = [{ attribute: props.documentFile, label: "File document" }];
+        } else if (documentSource === DOCUMENT_SOURCE_TYPES.BASE64) {
+            requiredAttributes = [{ attribute: props.documentBase64, label: "Base64 document" }];
+        } else if (documentSource === DOCUMENT_SOURCE_TYPES.AZURE_BLOB) {
+            requiredAttributes = [
+                { attribute: props.azureAccountName, label: "Azure Storage Account" },
+                { attribute: props.azureContainerName, label: "Azure Container" },
+                { attribute: props.azureBlobName, label: "Azure Blob Name" },
+                // Either credential will do
+                { attribute: props.azureSasToken?.value ? props.azureSasToken : props.azureAccountKey, label: "Azure SAS Token or Account Key" }
+            ];
+        } else if (documentSource === DOCUMENT_SOURCE_TYPES.GCS) {
+            requiredAttributes = [
+                { attribute: props.gcsAccessKey, label: "GCS HMAC Access ID" },
+                { attribute: props.gcsSecret, label: "GCS HMAC Secret" },
+                { attribute: props.gcsBucketName, label: "GCS Bucket Name" },
+                { attribute: props.gcsObjectName, label: "GCS Object Name" }
+            ];
+        } else if (usePresignedUrl) {
+            requiredAttributes = [{ attribute: props.presignedGetUrl, label: "Presigned GET URL" }];
+        } else {
+            requiredAttributes = [
+                { attribute: props.awsAccessKey, label: "AWS Access Key" },
+                { attribute: props.awsSecretKey, label: "AWS Secret Key" },
+                { attribute: props.awsRegion, label: "AWS Region" },
+                { attribute: props.s3BucketName, label: "S3 Bucket Name" },
+                { attribute: props.fileName, label: "File Name" }
+            ];
+        }
 
-        const isConfigReady =
-            props.awsAccessKey?.status === "available" && props.awsAccessKey?.value &&
-            props.awsSecretKey?.status === "available" && props.awsSecretKey?.value &&
-            props.awsRegion?.status === "available" && props.awsRegion?.value &&
-            props.s3BucketName?.status === "available" && props.s3BucketName?.value &&
-            props.fileName?.status === "available" && props.fileName?.value;
+        // Optional attributes (session token, endpoint) must finish loading before signing
+        const optionalAttributes = {
+            [DOCUMENT_SOURCE_TYPES.S3]: usePresignedUrl ? [] : [props.awsSessionToken, props.s3Endpoint, props.documentVersionId],
+            [DOCUMENT_SOURCE_TYPES.AZURE_BLOB]: [props.azureSasToken, props.azureAccountKey, props.azureEndpoint],
+            [DOCUMENT_SOURCE_TYPES.GCS]: [props.gcsEndpoint]
+        }[documentSource] || [];
+        const isOptionalLoading = optionalAttributes.some(attribute => attribute?.status === "loading");
+
+        const isConfigReady = !isOptionalLoading && requiredAttributes.every(
+            ({ attribute }) => attribute?.status === "available" && attribute?.value
+        );
+
+        // With the file browser enabled, an empty File Name means the user still has to pick one
+        const isAwaitingFileChoice = useS3 && !usePresignedUrl && fileBrowserConfig &&
+            props.fileName?.status === "available" && !props.fileName.value;
 
         if (isConfigReady) {
-            const awsConfig = {
-                accessKeyId: props.awsAccessKey.value.trim(),
-                secretAccessKey: props.awsSecretKey.value.trim(),
-                region: props.awsRegion.value.trim(),
-                bucketName: props.s3BucketName.value.trim(),
-                fileName: props.fileName.value.trim()
-            };
+            let source;
+            if (documentSource === DOCUMENT_SOURCE_TYPES.URL) {
+                source = createUrlDocumentSource(props.documentUrl.value.trim());
+            } else if (documentSource === DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT) {
+                source = createFileDocumentSource(props.documentFile.value);
+            } else if (documentSource === DOCUMENT_SOURCE_TYPES.BASE64) {
+                source = createBase64DocumentSource(props.documentBase64.value);
+            } else if (documentSource === DOCUMENT_SOURCE_TYPES.AZURE_BLOB) {
+                source = createAzureBlobDocumentSource({
+                    accountName: props.azureAccountName.value.trim(),
+                    containerName: props.azureContainerName.value.trim(),
+                    blobName: props.azureBlobName.value.trim(),
+                    sasToken: props.azureSasToken?.value?.trim() || null,
+                    accountKey: props.azureAccountKey?.value?.trim() || null,
+                    endpoint: props.azureEndpoint?.value?.trim() || null
+                });
+            } else if (documentSource === DOCUMENT_SOURCE_TYPES.GCS) {
+                source = createGcsDocumentSource({
+                    accessKey: props.gcsAccessKey.value.trim(),
+                    secret: props.gcsSecret.value.trim(),
+                    bucketName: props.gcsBucketName.value.trim(),
+                    objectName: props.gcsObjectName.value.trim(),
+                    endpoint: props.gcsEndpoint?.value?.trim() || null
+                });
+            } else {
+                source = createS3DocumentSource(usePresignedUrl
+                    ? {
+                        mode: "presignedUrl",
+                        presignedGetUrl: props.presignedGetUrl.value.trim(),
+                        fileName: props.fileName?.value?.trim() || ""
+                    }
+                    : {
+                        mode: "accessKeys",
+                        accessKeyId: props.awsAccessKey.value.trim(),
+                        secretAccessKey: props.awsSecretKey.value.trim(),
+                        region: props.awsRegion.value.trim(),
+                        sessionToken: props.awsSessionToken?.value?.trim() || null,
+                        endpoint: props.s3Endpoint?.value?.trim() || null,
+                        forcePathStyle: props.forcePathStyle,
+                        bucketName: props.s3BucketName.value.trim(),
+                        fileName: props.fileName.value.trim(),
+                        versionId: props.documentVersionId?.value?.trim() || null
+                    });
+            }
 
-            addDebugLog(`🔑 AWS Config ready - Region: ${awsConfig.region}, Bucket: ${awsConfig.bucketName}, File: ${awsConfig.fileName}`);
-            downloadPdfFromS3(awsConfig);
+            if (usePresignedUrl) {
+                addDebugLog("🔑 Presigned URL config ready - AWS credentials are not used in the browser");
+            } else if (useS3) {
+                const awsConfig = source.config;
+                addDebugLog(`🔑 AWS Config ready - Region: ${awsConfig.region}, Bucket: ${awsConfig.bucketName}, File: ${awsConfig.fileName}${awsConfig.versionId ? ` (version ${awsConfig.versionId})` : ""}, Temporary credentials: ${awsConfig.sessionToken ? "yes" : "no"}, Endpoint: ${awsConfig.endpoint || "AWS"}${awsConfig.forcePathStyle ? " (path-style)" : ""}`);
+            } else {
+                addDebugLog(`🔑 Document source ready - ${source.label}: ${source.name}`);
+            }
+            awsConfigRef.current = useS3 ? source.config : null;
+            loadDocument(source);
+        } else if (isAwaitingFileChoice) {
+            addDebugLog("📂 No file selected - opening the S3 file browser");
+            setIsBrowsingFiles(true);
+            setIsLoading(false);
+            setError("");
         } else {
-            const isStillLoading =
-                props.awsAccessKey?.status === "loading" ||
-                props.awsSecretKey?.status === "loading" ||
-                props.awsRegion?.status === "loading" ||
-                props.s3BucketName?.status === "loading" ||
-                props.fileName?.status === "loading";
+            const isStillLoading = isOptionalLoading || requiredAttributes.some(({ attribute }) => attribute?.status === "loading");
 
             if (isStillLoading) {
                 addDebugLog("🔑 Configuration still loading...");
@@ -247,47 +787,219 @@ export default function DocumentSigner(props) {
                 addDebugLog("❌ Configuration incomplete");
                 setError({ 
                     message: "Configuration incomplete. Please check all required fields are provided.",
-                    steps: [
-                        "Ensure AWS Access Key is provided",
-                        "Ensure AWS Secret Key is provided",
-                        "Ensure AWS Region is provided",
-                        "Ensure S3 Bucket Name is provided",
-                        "Ensure File Name is provided"
-                    ]
+                    steps: requiredAttributes.map(({ label }) => `Ensure ${label} is provided`)
                 });
                 setIsLoading(false);
             }
         }
-    }, [props.awsAccessKey, props.awsSecretKey, props.awsRegion, props.s3BucketName, props.fileName, downloadPdfFromS3, addDebugLog]);
+
+        // Cancel the download when the document attributes change or the widget unmounts
+        return () => {
+            if (downloadAbortRef.current) {
+                downloadAbortRef.current.abort();
+                downloadAbortRef.current = null;
+            }
+        };
+    }, [
+        props.documentSource, props.documentUrl, props.documentFile, props.documentBase64,
+        props.azureAccountName, props.azureContainerName, props.azureBlobName, props.azureSasToken, props.azureAccountKey, props.azureEndpoint,
+        props.gcsAccessKey, props.gcsSecret, props.gcsBucketName, props.gcsObjectName, props.gcsEndpoint,
+        props.credentialMode, props.presignedGetUrl, props.awsAccessKey, props.awsSecretKey, props.awsSessionToken,
+        props.s3Endpoint, props.forcePathStyle, props.awsRegion, props.s3BucketName, props.fileName, props.documentVersionId,
+        fileBrowserConfig, loadDocument, addDebugLog
+    ]);
 
     // Cleanup blob URL on unmount
     useEffect(() => {
         return () => {
-            if (pdfUrl && pdfUrl.startsWith('blob:')) {
+            if (typeof pdfUrl === 'string' && pdfUrl.startsWith('blob:')) {
                 URL.revokeObjectURL(pdfUrl);
                 addDebugLog("🧹 Cleaned up blob URL on unmount");
             }
         };
     }, [pdfUrl, addDebugLog]);
 
-    // Function to trigger when the user drops the field
-    const handleFieldDrop = useCallback((fieldType, position) => {
-        let labelValue;
-        
+    // Write the key chosen in the file browser to File Name, which triggers the download
+    const handleFileSelect = useCallback((key) => {
+        if (!props.fileName?.setValue || props.fileName.readOnly) {
+            addDebugLog("⚠️ Cannot select file - File Name attribute is read-only");
+            return;
+        }
+
+        addDebugLog(`📂 Selected file from S3: ${key}`);
+        setIsBrowsingFiles(false);
+        props.fileName.setValue(key);
+    }, [props.fileName, addDebugLog]);
+
+    // Initial value of a new field: the user's name or the current date
+    const getDefaultFieldValue = useCallback((fieldType) => {
         if (fieldType === "name" && props.userName?.value) {
-            labelValue = props.userName.value;
+            return props.userName.value;
         }
         if (fieldType === "date" && props.currentDate?.value) {
-            labelValue = props.currentDate.value;
+            return props.currentDate.value;
         }
-        
+        return undefined;
+    }, [props.userName, props.currentDate]);
+
+    // Add an event to the audit trail, attributed to the current user
+    const recordAuditEvent = useCallback((type, details) => {
+        setAuditEvents(prev => [...prev, createAuditEvent(type, props.userName?.value, details)]);
+    }, [props.userName]);
+
+    // Keep the pdf.js document so the full bytes can be read after range loading,
+    // and record the page sizes that field positions are measured against
+    const handleDocumentLoad = useCallback(async (pdfDocument) => {
+        pdfDocumentRef.current = pdfDocument;
+        setExistingSignatures([]);
+
+        try {
+            const pageNumbers = Array.from({ length: pdfDocument.numPages }, (_, index) => index + 1);
+            const pages = await Promise.all(pageNumbers.map(async (pageNumber) => {
+                const page = await pdfDocument.getPage(pageNumber);
+                const { width, height } = page.getViewport({ scale: 1 });
+                return {
+                    page: pageNumber,
+                    width,
+                    height,
+                    rotation: normalizeRotation(page.rotate),
+                    cropBox: boxFromViewArray(page.view)
+                };
+            }));
+
+            // Ignore the result if another document was loaded meanwhile
+            if (pdfDocumentRef.current === pdfDocument) {
+                setPageGeometry(pages);
+                addDebugLog(`📐 Recorded page geometry for ${pages.length} pages`);
+            }
+        } catch (err) {
+            addDebugLog(`⚠️ Could not read page geometry: ${err.message}`);
+        }
+
+        // Fingerprint the file if it was downloaded whole; a range-loaded file is fingerprinted when it is
+        // signed, since fetching all of it now would undo range loading
+        let openedSha256 = null;
+        if (documentBytesRef.current) {
+            setIsHashingDocument(true);
+            try {
+                const pdfBytes = documentBytesRef.current;
+                const sha256 = await hashDocument(pdfBytes);
+
+                if (pdfDocumentRef.current === pdfDocument) {
+                    openedSha256 = sha256;
+                    setDocumentHash({ sha256, size: pdfBytes.length });
+                    addDebugLog(`🔑 Document SHA-256: ${sha256}`);
+                }
+            } catch (err) {
+                addDebugLog(`⚠️ Could not compute the document fingerprint: ${err.message}`);
+            } finally {
+                setIsHashingDocument(false);
+            }
+        } else {
+            addDebugLog("🔑 Document fingerprint deferred until signing (range loaded)");
+        }
+        if (pdfDocumentRef.current === pdfDocument) {
+            recordAuditEvent(AUDIT_EVENT_TYPES.DOCUMENT_OPENED, openedSha256 ? { sha256: openedSha256 } : undefined);
+        }
+
+        // Fields the document defines itself: AcroForm fields and anchor text
+        const detectedFields = [];
+        try {
+            const formFields = await detectFormFields(pdfDocument);
+            if (formFields.length > 0) {
+                addDebugLog(`📝 Found ${formFields.length} fillable form fields`);
+            }
+            detectedFields.push(...formFields);
+        } catch (err) {
+            addDebugLog(`⚠️ Could not read form fields: ${err.message}`);
+        }
+
+        const anchorRules = props.anchorRules || [];
+        if (anchorRules.length > 0) {
+            try {
+                const anchorFields = await placeFieldsFromAnchors(pdfDocument, anchorRules.map(rule => ({
+                    anchorText: rule.anchorText,
+                    fieldType: rule.fieldType,
+                    offsetX: rule.offsetX,
+                    offsetY: rule.offsetY,
+                    isRegex: rule.isRegex
+                })));
+                addDebugLog(`⚓ Placed ${anchorFields.length} fields from ${anchorRules.length} anchor rules`);
+                detectedFields.push(...anchorFields.map(field => ({ ...field, value: getDefaultFieldValue(field.type) })));
+            } catch (err) {
+                addDebugLog(`⚠️ Could not place fields from anchor text: ${err.message}`);
+            }
+        }
+
+        // Restored fields with the same id keep their values and positions; removed ones stay removed
+        if (detectedFields.length > 0 && pdfDocumentRef.current === pdfDocument) {
+            const fieldsOnVersion = detectedFields
+                .filter(field => !dismissedFieldIdsRef.current.includes(field.id))
+                .map(field => ({ ...field, documentVersionId: documentVersionRef.current }));
+            setDroppedFields(prev => [
+                ...prev,
+                ...fieldsOnVersion.filter(field => !prev.some(existing => existing.id === field.id))
+            ]);
+        }
+
+        // Signature fields may already hold signatures applied elsewhere; verifying them needs the whole file
+        try {
+            const fieldObjects = await pdfDocument.getFieldObjects();
+            const hasSignatureFields = Object.values(fieldObjects || {})
+                .some(widgets => widgets.some(widget => widget.type === "signature"));
+
+            if (hasSignatureFields && pdfDocumentRef.current === pdfDocument) {
+                setIsVerifyingSignatures(true);
+                const pdfBytes = documentBytesRef.current || await pdfDocument.getData();
+                const signatures = await verifyPdfSignatures(pdfBytes);
+
+                if (pdfDocumentRef.current === pdfDocument) {
+                    setExistingSignatures(signatures);
+                    signatures.forEach(signature => addDebugLog(
+                        `🔍 Signature ${signature.fieldName} by ${signature.signerName || "unknown signer"}: ${signature.status}`));
+
+                    // Signed form fields are not placeholders to sign again
+                    const signedFieldNames = new Set(signatures.map(signature => signature.fieldName));
+                    setDroppedFields(prev => prev.filter(field =>
+                        !(field.type === "signature" && signedFieldNames.has(field.formFieldName))));
+                }
+            }
+        } catch (err) {
+            addDebugLog(`⚠️ Could not verify existing signatures: ${err.message}`);
+        } finally {
+            setIsVerifyingSignatures(false);
+        }
+    }, [props.anchorRules, getDefaultFieldValue, recordAuditEvent, addDebugLog]);
+
+    // Field data envelope for the placed fields and the loaded document
+    const buildFieldData = useCallback((fields) => {
+        const source = documentSourceRef.current;
+        return {
+            fields,
+            document: {
+                source: source?.type,
+                key: source?.key,
+                versionId: documentVersionRef.current,
+                // Placed fields stay tied to the file they were placed on, even when another one is loaded
+                sha256: expectedDocumentHash || documentHash?.sha256
+            },
+            pages: pageGeometry,
+            dismissedFieldIds: dismissedFieldIdsRef.current,
+            auditEvents,
+            timestamp: documentTimestamp
+        };
+    }, [pageGeometry, auditEvents, documentTimestamp, expectedDocumentHash, documentHash]);
+
+    // Function to trigger when the user drops the field
+    const handleFieldDrop = useCallback((fieldType, position) => {
         const newField = {
             id: crypto.randomUUID(),
             type: fieldType,
             page: position.page,
             xPercent: position.xPercent,
             yPercent: position.yPercent,
-            value: labelValue
+            value: getDefaultFieldValue(fieldType),
+            documentVersionId: documentVersionRef.current
         };
 
         // If it's a signature field, open the modal immediately
@@ -298,13 +1010,22 @@ export default function DocumentSigner(props) {
         } else {
             // For other fields, add directly
             setDroppedFields(prev => [...prev, newField]);
+            recordAuditEvent(AUDIT_EVENT_TYPES.FIELD_PLACED, { fieldId: newField.id, fieldType, page: newField.page });
         }
-    }, [props.userName, props.currentDate]);
+    }, [getDefaultFieldValue, recordAuditEvent]);
 
     // Function to remove the Field
     const removeField = useCallback((id) => {
+        const removedField = droppedFields.find(field => field.id === id);
         setDroppedFields(prev => prev.filter(field => field.id !== id));
-    }, []);
+        // Form fields belong to the document and can't be removed; anchor fields are placed again unless dismissed
+        if (id.startsWith(ANCHOR_FIELD_ID_PREFIX) && !dismissedFieldIdsRef.current.includes(id)) {
+            dismissedFieldIdsRef.current = [...dismissedFieldIdsRef.current, id];
+        }
+        if (removedField) {
+            recordAuditEvent(AUDIT_EVENT_TYPES.FIELD_REMOVED, { fieldId: id, fieldType: removedField.type, page: removedField.page });
+        }
+    }, [droppedFields, recordAuditEvent]);
 
     // Function to handle signature modal close
     const handleSignatureModalClose = useCallback(() => {
@@ -312,10 +1033,19 @@ export default function DocumentSigner(props) {
         setPendingSignatureField(null);
     }, []);
 
+    // Open the signature modal for a placed field that isn't signed yet (e.g. a form signature field)
+    const handleSignatureRequest = useCallback((fieldId) => {
+        const field = droppedFields.find(candidate => candidate.id === fieldId);
+        if (field) {
+            setPendingSignatureField(field);
+            setShowSignatureModal(true);
+        }
+    }, [droppedFields]);
+
     // Function to apply signature from modal
     const handleSignatureApply = useCallback((signatureData) => {
         if (pendingSignatureField) {
-            // Add the field with signature data
+            // Add the field with signature data, or sign the placed field it came from
             const fieldWithSignature = {
                 ...pendingSignatureField,
                 signatureData: signatureData.signatureImage,
@@ -325,11 +1055,24 @@ export default function DocumentSigner(props) {
                 signatureType: signatureData.type,
                 value: `Signed by ${signatureData.fullName}`
             };
-            setDroppedFields(prev => [...prev, fieldWithSignature]);
+            const isPlacedField = droppedFields.some(field => field.id === fieldWithSignature.id);
+            setDroppedFields(prev => prev.some(field => field.id === fieldWithSignature.id)
+                ? prev.map(field => field.id === fieldWithSignature.id ? fieldWithSignature : field)
+                : [...prev, fieldWithSignature]);
+
+            if (!isPlacedField) {
+                recordAuditEvent(AUDIT_EVENT_TYPES.FIELD_PLACED, { fieldId: fieldWithSignature.id, fieldType: "signature", page: fieldWithSignature.page });
+            }
+            recordAuditEvent(AUDIT_EVENT_TYPES.SIGNATURE_APPLIED, {
+                fieldId: fieldWithSignature.id,
+                page: fieldWithSignature.page,
+                signer: signatureData.fullName,
+                signatureType: signatureData.type
+            });
         }
         setShowSignatureModal(false);
         setPendingSignatureField(null);
-    }, [pendingSignatureField]);
+    }, [pendingSignatureField, droppedFields, recordAuditEvent]);
 
     // Function to update existing field with signature (for click-to-sign on already placed fields)
     const updateFieldSignature = useCallback((fieldId, signatureData) => {
@@ -346,15 +1089,37 @@ export default function DocumentSigner(props) {
                 }
                 : field
         ));
-    }, []);
+        recordAuditEvent(AUDIT_EVENT_TYPES.SIGNATURE_APPLIED, {
+            fieldId,
+            page: droppedFields.find(field => field.id === fieldId)?.page,
+            signer: signatureData.fullName,
+            signatureType: signatureData.type
+        });
+    }, [droppedFields, recordAuditEvent]);
 
     // Function to handle the Name field value
     const handleFieldValueChange = useCallback((fieldId, newValue) => {
-        setDroppedFields(prev => prev.map(field => 
-            field.id === fieldId
-            ? {...field, value: newValue}
-            : field
-        ));
+        setDroppedFields(prev => {
+            // Form widgets with the same field name share one value
+            const formFieldName = prev.find(field => field.id === fieldId)?.formFieldName;
+            return prev.map(field => 
+                field.id === fieldId || (formFieldName && field.formFieldName === formFieldName)
+                ? {...field, value: newValue}
+                : field
+            );
+        });
+    }, []);
+
+    // Toggle a form checkbox (and the other widgets of the same field)
+    const handleFieldCheckedChange = useCallback((fieldId, checked) => {
+        setDroppedFields(prev => {
+            const formFieldName = prev.find(field => field.id === fieldId)?.formFieldName;
+            return prev.map(field =>
+                field.id === fieldId || (formFieldName && field.formFieldName === formFieldName)
+                    ? { ...field, checked }
+                    : field
+            );
+        });
     }, []);
 
     // Optimized field reposition with threshold check
@@ -380,8 +1145,387 @@ export default function DocumentSigner(props) {
         });
     }, []);
 
+    // Signing can only be finished once every placed signature field is signed
+    // (form signature fields may be meant for other signers)
+    const hasUnsignedFields = droppedFields.some(field => field.type === "signature" && !field.signatureData && !field.formFieldName);
+    const isDocumentMismatch = Boolean(documentHash && expectedDocumentHash && documentHash.sha256 !== expectedDocumentHash);
+    // A document that is already digitally signed can only be counter-signed
+    const isDigitallySigned = Boolean(props.digitalSignatureMode) && props.digitalSignatureMode !== "none";
+    const isCounterSignatureRequired = existingSignatures.length > 0 && !isDigitallySigned;
+    const canFinalize = droppedFields.length > 0 && !hasUnsignedFields && !isFinalizing && !isHashingDocument &&
+        !isVerifyingSignatures && !isDocumentMismatch && !isCounterSignatureRequired;
+
+    // Function to upload the signed PDF and its sidecar JSON back to the source bucket.
+    // Resolves to a warning when part of the output could not be uploaded, otherwise null.
+    const uploadSignedFiles = useCallback(async (signedPdf, timestamp, auditTrail) => {
+        const awsConfig = awsConfigRef.current;
+        if (!awsConfig) {
+            throw new Error("Uploading the signed document requires the Amazon S3 document source");
+        }
+
+        const buildSidecar = (signedFile) => JSON.stringify({
+            sourceFile: awsConfig.fileName,
+            sourceVersionId: documentVersionRef.current,
+            signedFile,
+            signedAt: new Date().toISOString(),
+            fieldData: buildFieldDataEnvelope({ ...buildFieldData(droppedFields), timestamp }),
+            ...(auditTrail ? { auditTrail } : {})
+        });
+
+        if (awsConfig.mode === "presignedUrl") {
+            const presignedPutUrl = props.presignedPutUrl?.value?.trim();
+            if (!presignedPutUrl) {
+                throw new Error("No presigned PUT URL is available for upload");
+            }
+
+            addDebugLog("📤 Uploading signed document via backend-issued presigned URL");
+            await uploadWithPresignedUrl(presignedPutUrl, signedPdf, "application/pdf", (progress, status) => {
+                setFinalizeStatus({ type: "info", message: `${status} (${progress}%)` });
+            });
+            addDebugLog("✅ Uploaded signed document");
+
+            // A presigned URL is only valid for the one object it was issued for, so the sidecar needs its own
+            const presignedSidecarPutUrl = props.presignedSidecarPutUrl?.value?.trim();
+            if (!presignedSidecarPutUrl) {
+                addDebugLog("⚠️ Sidecar JSON not uploaded - no presigned sidecar PUT URL is available");
+                return "The sidecar JSON with the field data and audit trail was not uploaded (no presigned sidecar PUT URL is available).";
+            }
+
+            const signedFile = decodeURIComponent(new URL(presignedPutUrl).pathname.split("/").pop());
+            await uploadWithPresignedUrl(presignedSidecarPutUrl, buildSidecar(signedFile), "application/json");
+            addDebugLog("✅ Uploaded sidecar JSON via backend-issued presigned URL");
+            return null;
+        }
+
+        const configuredKey = props.signedFileName?.value?.trim();
+        const signedKey = configuredKey || getSignedFileName(awsConfig.fileName);
+        const sidecarKey = getSidecarFileName(signedKey);
+        const s3Config = toS3Config(awsConfig);
+
+        addDebugLog(`📤 Uploading signed document to s3://${awsConfig.bucketName}/${signedKey}`);
+        await uploadToS3(s3Config, awsConfig.bucketName, signedKey, signedPdf, "application/pdf", (progress, status) => {
+            setFinalizeStatus({ type: "info", message: `${status} (${progress}%)` });
+            if (progress % 20 === 0 || progress === 100) {
+                addDebugLog(`📊 Upload progress: ${progress}% - ${status}`);
+            }
+        });
+
+        await uploadToS3(s3Config, awsConfig.bucketName, sidecarKey, buildSidecar(signedKey), "application/json");
+        addDebugLog(`✅ Uploaded signed document and sidecar JSON (${sidecarKey})`);
+
+        if (!configuredKey && props.signedFileName?.setValue && !props.signedFileName.readOnly) {
+            props.signedFileName.setValue(signedKey);
+        }
+        return null;
+    }, [droppedFields, props.signedFileName, props.presignedPutUrl, props.presignedSidecarPutUrl, buildFieldData, addDebugLog]);
+
+    // Resolve the signer for the configured digital signature mode
+    const createDigitalSigner = useCallback(async () => {
+        if (props.digitalSignatureMode === "p12") {
+            const certificateFile = props.signingCertificateFile?.value;
+            if (!certificateFile?.uri) {
+                throw new Error("The certificate file is not available");
+            }
+
+            const response = await fetch(certificateFile.uri, { credentials: "same-origin" });
+            if (!response.ok) {
+                throw new Error(`Could not download the certificate file (HTTP ${response.status})`);
+            }
+            const p12Bytes = new Uint8Array(await response.arrayBuffer());
+            return createP12Signer(p12Bytes, props.signingCertificatePassword?.value || "");
+        }
+
+        const externalSigner = window.DocumentSignerSigners?.[props.externalSignerName];
+        if (!externalSigner) {
+            throw new Error(`No signer is registered as "${props.externalSignerName}" in window.DocumentSignerSigners`);
+        }
+        return createExternalSigner(externalSigner);
+    }, [props.digitalSignatureMode, props.signingCertificateFile, props.signingCertificatePassword, props.externalSignerName]);
+
+    // Remove every cached document from this browser; the document on screen stays as it is
+    const handleClearDocumentCache = useCallback(async () => {
+        try {
+            await clearDocumentCache();
+            setCachedCopy(prev => (prev?.isStale ? prev : null));
+            addDebugLog("🧹 Document cache cleared");
+        } catch (err) {
+            addDebugLog(`⚠️ Could not clear the document cache: ${err.message}`);
+        }
+    }, [addDebugLog]);
+
+    // Function to burn the fields into the PDF and hand the result to Mendix
+    const handleFinalize = useCallback(async () => {
+        if (!documentBytesRef.current && !pdfDocumentRef.current) {
+            addDebugLog("⚠️ Cannot finalize - original document bytes are not available");
+            return;
+        }
+
+        // Fields placed on another version of the document must not be signed onto this one
+        const staleField = droppedFields.find(field =>
+            field.documentVersionId && documentVersionRef.current && field.documentVersionId !== documentVersionRef.current);
+        if (staleField) {
+            addDebugLog(`❌ Field ${staleField.id} was placed on version ${staleField.documentVersionId}, loaded version is ${documentVersionRef.current}`);
+            setFinalizeStatus({ type: "error", message: "The document has changed since the fields were placed. Reload the prepared version before signing." });
+            return;
+        }
+        if (isDocumentMismatch) {
+            addDebugLog(`❌ Document SHA-256 ${documentHash.sha256} does not match ${expectedDocumentHash} recorded with the fields`);
+            setFinalizeStatus({ type: "error", message: "The document has changed since the fields were placed. Reload the prepared version before signing." });
+            return;
+        }
+        if (isCounterSignatureRequired) {
+            addDebugLog(`❌ Document carries ${existingSignatures.length} digital signatures and no digital signature is configured`);
+            setFinalizeStatus({ type: "error", message: "This document is already digitally signed. Changing it would invalidate those signatures; it can only be counter-signed with a digital signature." });
+            return;
+        }
+
+        setIsFinalizing(true);
+        setFinalizeStatus({ type: "info", message: "Generating signed document..." });
+
+        try {
+            // After range loading, pdf.js fetches any missing ranges and returns the full file
+            if (!documentBytesRef.current) {
+                setFinalizeStatus({ type: "info", message: "Loading the rest of the document..." });
+                documentBytesRef.current = await pdfDocumentRef.current.getData();
+                addDebugLog(`📑 Full document loaded for signing - Size: ${documentBytesRef.current.length} bytes`);
+                setFinalizeStatus({ type: "info", message: "Generating signed document..." });
+            }
+
+            // Range-loaded documents are fingerprinted now that all of the file is here
+            let documentSha256 = documentHash?.sha256;
+            if (!documentSha256) {
+                documentSha256 = await hashDocument(documentBytesRef.current);
+                setDocumentHash({ sha256: documentSha256, size: documentBytesRef.current.length });
+                addDebugLog(`🔑 Document SHA-256: ${documentSha256}`);
+
+                if (expectedDocumentHash && documentSha256 !== expectedDocumentHash) {
+                    addDebugLog(`❌ Document SHA-256 ${documentSha256} does not match ${expectedDocumentHash} recorded with the fields`);
+                    setFinalizeStatus({ type: "error", message: "The document has changed since the fields were placed. Reload the prepared version before signing." });
+                    return;
+                }
+            }
+
+            // Rewriting a signed document breaks its signatures, so its fields are appended as an incremental update
+            const hasExistingSignatures = existingSignatures.length > 0;
+            let signedPdf;
+            if (hasExistingSignatures) {
+                addDebugLog(`🔏 Document carries ${existingSignatures.length} digital signatures - adding ${droppedFields.length} fields as an incremental update`);
+                signedPdf = await appendFieldsToSignedPdf(documentBytesRef.current, droppedFields);
+            } else {
+                addDebugLog(`🖊️ Generating signed PDF with ${droppedFields.length} fields...`);
+                signedPdf = await flattenFieldsToPdf(documentBytesRef.current, droppedFields);
+            }
+            addDebugLog(`✅ Signed PDF generated - Size: ${signedPdf.length} bytes`);
+
+            // The certificate of completion is part of the document, so it goes in before the digital signature
+            const completedEvent = createAuditEvent(AUDIT_EVENT_TYPES.DOCUMENT_COMPLETED, props.userName?.value);
+            let auditTrail = null;
+            if (props.appendAuditTrail || props.auditTrailOutput) {
+                const source = documentSourceRef.current;
+                auditTrail = buildAuditTrail({
+                    document: {
+                        name: source?.name,
+                        source: source?.type,
+                        key: source?.key,
+                        versionId: documentVersionRef.current,
+                        sha256: expectedDocumentHash || documentSha256,
+                        pageCount: pageGeometry.length
+                    },
+                    fields: droppedFields,
+                    events: [...auditEvents, completedEvent],
+                    completedAt: new Date(completedEvent.time)
+                });
+            }
+            if (props.appendAuditTrail && hasExistingSignatures) {
+                addDebugLog("📜 Audit trail pages not appended to a signed document - the audit trail is only in the JSON");
+            } else if (props.appendAuditTrail) {
+                setFinalizeStatus({ type: "info", message: "Adding audit trail..." });
+                signedPdf = await appendAuditTrailPages(signedPdf, auditTrail);
+                addDebugLog(`📜 Audit trail appended - Size: ${signedPdf.length} bytes`);
+            }
+
+            // The digital signature covers the flattened document, so it must be the last change
+            if (isDigitallySigned) {
+                setFinalizeStatus({ type: "info", message: "Applying digital signature..." });
+                const signer = await createDigitalSigner();
+                const signatureField = droppedFields.find(field => field.type === "signature");
+
+                signedPdf = await signPdf(signedPdf, signer, {
+                    pageIndex: signatureField ? signatureField.page - 1 : 0,
+                    reason: props.signatureReason,
+                    location: props.signatureLocation,
+                    name: props.userName?.value,
+                    timestampAuthorityUrl: props.timestampAuthorityUrl
+                });
+                addDebugLog(`🔏 Digital signature applied${props.timestampAuthorityUrl ? " with trusted timestamp" : ""} - Size: ${signedPdf.length} bytes`);
+            }
+
+            // Without a digital signature the timestamp covers the document hash and goes into the field data
+            let timestamp = null;
+            if (props.timestampAuthorityUrl && !isDigitallySigned) {
+                setFinalizeStatus({ type: "info", message: "Requesting trusted timestamp..." });
+                const documentDigest = new Uint8Array(await crypto.subtle.digest("SHA-256", signedPdf));
+                const { token, time, serialNumber, policy } = await requestTimestamp(props.timestampAuthorityUrl, documentDigest);
+
+                timestamp = {
+                    authority: props.timestampAuthorityUrl,
+                    time: time.toISOString(),
+                    serialNumber,
+                    policy,
+                    documentSha256: Array.from(documentDigest, byte => byte.toString(16).padStart(2, "0")).join(""),
+                    token: uint8ArrayToBase64(token)
+                };
+                addDebugLog(`⏱️ Trusted timestamp ${serialNumber} issued at ${timestamp.time}`);
+            }
+
+            if (auditTrail) {
+                auditTrail.signedDocument = {
+                    sha256: await hashDocument(signedPdf),
+                    digitallySigned: isDigitallySigned,
+                    timestamp
+                };
+                if (props.auditTrailOutput?.setValue) {
+                    props.auditTrailOutput.setValue(JSON.stringify(auditTrail));
+                    addDebugLog("📤 Audit trail synced to Mendix");
+                }
+            }
+
+            if (props.signedDocumentOutput?.setValue) {
+                props.signedDocumentOutput.setValue(uint8ArrayToBase64(signedPdf));
+                addDebugLog("📤 Signed document synced to Mendix");
+            }
+
+            // Only S3 documents have a bucket to upload the signed copy to
+            let uploadWarning = null;
+            if (props.uploadSignedDocument && awsConfigRef.current) {
+                uploadWarning = await uploadSignedFiles(signedPdf, timestamp, auditTrail);
+            }
+            setDocumentTimestamp(timestamp);
+            setAuditEvents(prev => [...prev, completedEvent]);
+
+            if (props.onDocumentSigned?.canExecute) {
+                props.onDocumentSigned.execute();
+            }
+
+            setFinalizeStatus(uploadWarning
+                ? { type: "warning", message: `Signed document generated. ${uploadWarning}` }
+                : { type: "success", message: "Signed document generated" });
+        } catch (err) {
+            addDebugLog(`❌ Signed document generation failed: ${err.message}`);
+            console.error("Finalize Failed:", err);
+            setFinalizeStatus({ type: "error", message: `Failed to generate signed document: ${err.message}` });
+        } finally {
+            setIsFinalizing(false);
+        }
+    }, [
+        droppedFields, isDocumentMismatch, isCounterSignatureRequired, isDigitallySigned, existingSignatures,
+        documentHash, expectedDocumentHash, auditEvents, pageGeometry,
+        props.signedDocumentOutput, props.uploadSignedDocument, props.onDocumentSigned, props.appendAuditTrail, props.auditTrailOutput,
+        props.signatureReason, props.signatureLocation, props.userName, props.timestampAuthorityUrl,
+        createDigitalSigner, uploadSignedFiles, addDebugLog
+    ]);
+
+    // Once every field is removed, new fields are placed on the loaded document
+    useEffect(() => {
+        if (droppedFields.length === 0) {
+            setExpectedDocumentHash(null);
+        }
+    }, [droppedFields]);
+
+    // Restore placed fields from fieldDataOutput on load and when the attribute changes outside the widget
+    useEffect(() => {
+        const attribute = props.fieldDataOutput;
+
+        // Without a field data attribute there is nothing to restore; sync changes from the start
+        if (!attribute) {
+            if (hydratedFieldsRef.current === null) {
+                hydratedFieldsRef.current = [];
+                setDroppedFields(hydratedFieldsRef.current);
+            }
+            return;
+        }
+        if (attribute.status !== "available") {
+            return;
+        }
+
+        const jsonData = attribute.value || "";
+
+        // Values written by the sync below are already in droppedFields (prevents a sync loop)
+        if (hydratedFieldsRef.current && jsonData === previousJsonRef.current) {
+            return;
+        }
+        previousJsonRef.current = jsonData;
+
+        let fieldData;
+        try {
+            fieldData = parseFieldData(jsonData);
+        } catch (err) {
+            // Sync stays off so the first edit doesn't replace data this widget can't read
+            hydratedFieldsRef.current = null;
+            setFieldDataError(err.message);
+            setDroppedFields([]);
+            addDebugLog(`❌ Could not restore fields from field data, changes will not be saved: ${err.message}`);
+            return;
+        }
+
+        const fields = fieldData.fields;
+        dismissedFieldIdsRef.current = fieldData.dismissedFieldIds;
+        setFieldDataError(null);
+        setDocumentTimestamp(fieldData.timestamp);
+        // Events recorded before the field data arrived (e.g. opening the document) are kept
+        setAuditEvents(prev => [
+            ...fieldData.auditEvents,
+            ...prev.filter(event => !fieldData.auditEvents.some(restored => restored.id === event.id))
+        ].sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0)));
+        // The recorded fingerprint only binds fields that were placed on it
+        setExpectedDocumentHash(fields.length > 0 ? fieldData.document?.sha256 || null : null);
+
+        if (fieldData.migratedFrom !== null) {
+            addDebugLog(`🔄 Migrated field data from schema version ${fieldData.migratedFrom}`);
+        }
+        fieldData.problems.forEach(problem => addDebugLog(`⚠️ Skipped invalid field - ${problem}`));
+
+        hydratedFieldsRef.current = fields;
+        setDroppedFields(fields);
+        addDebugLog(`📥 Restored ${fields.length} fields from Mendix`);
+    }, [props.fieldDataOutput, addDebugLog]);
+
+    // Import fields from xfdfInput once the page geometry is known (rects are resolved against it)
+    useEffect(() => {
+        const attribute = props.xfdfInput;
+        if (attribute?.status !== "available" || !attribute.value || pageGeometry.length === 0) {
+            return;
+        }
+
+        // Skip XFDF already imported, or exported by this widget
+        if (attribute.value === previousXfdfRef.current) {
+            return;
+        }
+        previousXfdfRef.current = attribute.value;
+
+        try {
+            const { fields, skipped } = importFieldsFromXfdf(attribute.value, pageGeometry);
+            const importedFields = fields.map(field => ({ ...field, documentVersionId: documentVersionRef.current }));
+
+            // Imported fields replace placed fields with the same id
+            setDroppedFields(prev => [
+                ...prev.filter(field => !importedFields.some(imported => imported.id === field.id)),
+                ...importedFields
+            ]);
+            addDebugLog(`📥 Imported ${importedFields.length} fields from XFDF${skipped ? ` (${skipped} annotations skipped)` : ""}`);
+        } catch (err) {
+            addDebugLog(`⚠️ Could not import XFDF: ${err.message}`);
+        }
+    }, [props.xfdfInput, pageGeometry, addDebugLog]);
+
     // OPTIMIZED: Debounced sync to Mendix with duplicate check
     useEffect(() => {
+        // Don't sync before the saved fields are restored. Until the document is loaded and
+        // fingerprinted the envelope would lack its page geometry and hash.
+        if (hydratedFieldsRef.current === null || pageGeometry.length === 0 || isHashingDocument) {
+            return;
+        }
+
         // Clear any pending sync
         if (syncTimeoutRef.current) {
             clearTimeout(syncTimeoutRef.current);
@@ -390,9 +1534,10 @@ export default function DocumentSigner(props) {
         // Debounce: wait 300ms after last change before syncing
         syncTimeoutRef.current = setTimeout(() => {
             if (props.fieldDataOutput?.setValue) {
-                const jsonData = JSON.stringify(droppedFields);
+                const jsonData = serializeFieldData(buildFieldData(droppedFields));
                 
-                // Only sync if data actually changed
+                // Only sync if data actually changed; this also covers the timestamp and
+                // audit events, which change without the fields changing
                 if (jsonData !== previousJsonRef.current) {
                     previousJsonRef.current = jsonData;
                     props.fieldDataOutput.setValue(jsonData);
@@ -400,6 +1545,19 @@ export default function DocumentSigner(props) {
                     console.info("Synced:", jsonData);
                 }
             }
+
+            // XFDF rects need the page geometry, so export waits for the document to load
+            if (props.xfdfOutput?.setValue && pageGeometry.length > 0) {
+                const xfdf = exportFieldsToXfdf(droppedFields, pageGeometry, { fileName: documentSourceRef.current?.name });
+
+                // The date attributes change on every export, so compare without them
+                const withoutDates = (text) => text.replace(/ (creation)?date="[^"]*"/g, "");
+                if (withoutDates(xfdf) !== withoutDates(previousXfdfRef.current)) {
+                    previousXfdfRef.current = xfdf;
+                    props.xfdfOutput.setValue(xfdf);
+                    addDebugLog(`📤 XFDF synced to Mendix: ${droppedFields.length} fields`);
+                }
+            }
         }, 300);
 
         // Cleanup timeout on unmount
@@ -408,7 +1566,24 @@ export default function DocumentSigner(props) {
                 clearTimeout(syncTimeoutRef.current);
             }
         };
-    }, [droppedFields, props.fieldDataOutput, addDebugLog]);
+    }, [droppedFields, props.fieldDataOutput, props.xfdfOutput, pageGeometry, isHashingDocument, buildFieldData, addDebugLog]);
+
+    // File browser (no document chosen yet, or the user is changing it)
+    if (isBrowsingFiles && fileBrowserConfig) {
+        const currentKey = props.fileName?.value || "";
+        return (
+            <div className="document-signer" data-widget-instance={widgetInstanceId}>
+                <S3FileBrowser
+                    s3Config={fileBrowserConfig.s3Config}
+                    bucketName={fileBrowserConfig.bucketName}
+                    initialPrefix={currentKey.includes("/") ? currentKey.slice(0, currentKey.lastIndexOf("/") + 1) : ""}
+                    selectedKey={currentKey}
+                    onSelect={handleFileSelect}
+                    onCancel={currentKey ? () => setIsBrowsingFiles(false) : null}
+                />
+            </div>
+        );
+    }
 
     // Loading state (enhanced like PDF Annotations)
     if (isLoading) {
@@ -428,6 +1603,16 @@ export default function DocumentSigner(props) {
                                 ></div>
                             </div>
                             <span className="progress-text">{downloadProgress}% complete</span>
+                            {transferStats && transferStats.loaded > 0 && (
+                                <span className="progress-transfer">
+                                    {transferStats.total
+                                        ? `${formatBytes(transferStats.loaded)} of ${formatBytes(transferStats.total)}`
+                                        : formatBytes(transferStats.loaded)}
+                                    {` · ${formatBytes(transferStats.bytesPerSecond)}/s`}
+                                    {transferStats.etaSeconds !== null && transferStats.loaded < transferStats.total &&
+                                        ` · ${formatDuration(transferStats.etaSeconds)} remaining`}
+                                </span>
+                            )}
                         </div>
                     )}
                 </div>
@@ -487,9 +1672,37 @@ export default function DocumentSigner(props) {
                         defaultUserName={props.userName?.value || ""}
                         onFieldValueChange={handleFieldValueChange}
                         onFieldReposition={handleFieldReposition}
+                        onDocumentLoad={handleDocumentLoad}
+                        onFieldCheckedChange={handleFieldCheckedChange}
+                        onSignatureRequest={handleSignatureRequest}
                     />
                 </div>
                 <div className="right-field-pannel">
+                    {canChooseFile && (
+                        <button className="change-document-btn" onClick={() => setIsBrowsingFiles(true)}>
+                            📂 Change document
+                        </button>
+                    )}
+                    <DocumentDetailsPanel
+                        fileName={documentSourceRef.current?.name}
+                        sourceLabel={documentSourceRef.current?.label}
+                        versionId={documentVersionRef.current}
+                        pageCount={pageGeometry.length}
+                        size={documentHash?.size}
+                        sha256={documentHash?.sha256}
+                        expectedSha256={expectedDocumentHash}
+                        isHashing={isHashingDocument}
+                        cachedCopy={cachedCopy}
+                        onClearCache={enableDocumentCache ? handleClearDocumentCache : undefined}
+                    />
+                    {fieldDataError && (
+                        <div className="field-data-error" role="alert">
+                            <strong>⚠️ Saved fields could not be read</strong>
+                            <p>{fieldDataError}</p>
+                            <p>Changes to the fields are not saved, so the stored field data is kept as it is.</p>
+                        </div>
+                    )}
+                    <SignaturePanel signatures={existingSignatures} isVerifying={isVerifyingSignatures} />
                     <div className="right-field-1">
                         <h4>Add Fields</h4>
                         <p className="drag-info">Drag fields and drop them on to the document preview</p>
@@ -526,6 +1739,23 @@ export default function DocumentSigner(props) {
                         Click and drag any field to the document preview on the left. Position them where signatures or information are needed.
                         </p>
                     </div>
+                    <div className="finalize-section">
+                        <button
+                            className="finalize-btn"
+                            onClick={handleFinalize}
+                            disabled={!canFinalize}
+                            title={isDocumentMismatch
+                                ? "The document has changed since the fields were placed"
+                                : isCounterSignatureRequired
+                                    ? "The document is already digitally signed; configure a digital signature to counter-sign it"
+                                    : hasUnsignedFields ? "Sign all signature fields first" : "Generate the signed document"}
+                        >
+                            {isFinalizing ? "Generating..." : "Finish Signing"}
+                        </button>
+                        {finalizeStatus && (
+                            <p className={`finalize-status ${finalizeStatus.type}`}>{finalizeStatus.message}</p>
+                        )}
+                    </div>
                 </div>
             </div>
             
@@ -0,0 +1,117 @@
+import { createElement } from "react";
+import { formatBytes } from "../utils/format-bytes";
+import "../ui/DocumentDetailsPanel.css";
+
+export default function DocumentDetailsPanel({
+    fileName,
+    sourceLabel,
+    versionId,
+    pageCount,
+    size,
+    sha256,
+    expectedSha256,
+    isHashing,
+    cachedCopy,
+    onClearCache
+}) {
+    const isMismatch = Boolean(sha256 && expectedSha256 && sha256 !== expectedSha256);
+
+    let fingerprintStatus = null;
+    if (isHashing) {
+        fingerprintStatus = { type: "info", message: "Computing fingerprint..." };
+    } else if (isMismatch) {
+        fingerprintStatus = { type: "error", message: "Does not match the document the fields were placed on" };
+    } else if (sha256 && expectedSha256) {
+        fingerprintStatus = { type: "success", message: "Matches the document the fields were placed on" };
+    }
+
+    return (
+        <div className="document-details">
+            {isMismatch && (
+                <div className="document-tamper-warning" role="alert">
+                    <strong>⚠️ This document has changed</strong>
+                    <p>
+                        The file is not the one the fields were placed on, so they may cover different content. Signing
+                        is blocked until the original document is restored or the fields are placed again.
+                    </p>
+                </div>
+            )}
+
+            {cachedCopy?.isStale && (
+                <div className="document-stale-notice" role="status">
+                    <strong>📦 Offline copy</strong>
+                    <p>
+                        You are offline, so this is the copy cached in your browser. It could not be checked against the
+                        server and may be out of date.
+                    </p>
+                </div>
+            )}
+
+            <details className="document-details-panel">
+                <summary>Document details</summary>
+                <dl className="document-details-list">
+                    {fileName && (
+                        <div>
+                            <dt>File</dt>
+                            <dd>{fileName}</dd>
+                        </div>
+                    )}
+                    {sourceLabel && (
+                        <div>
+                            <dt>Source</dt>
+                            <dd>{sourceLabel}</dd>
+                        </div>
+                    )}
+                    {versionId && (
+                        <div>
+                            <dt>Version</dt>
+                            <dd>{versionId}</dd>
+                        </div>
+                    )}
+                    {pageCount > 0 && (
+                        <div>
+                            <dt>Pages</dt>
+                            <dd>{pageCount}</dd>
+                        </div>
+                    )}
+                    {cachedCopy && (
+                        <div>
+                            <dt>Copy</dt>
+                            <dd>
+                                {cachedCopy.isStale
+                                    ? "Cached in this browser, not checked (offline)"
+                                    : "Cached in this browser, up to date"}
+                            </dd>
+                        </div>
+                    )}
+                    {size > 0 && (
+                        <div>
+                            <dt>Size</dt>
+                            <dd>{formatBytes(size)}</dd>
+                        </div>
+                    )}
+                    <div>
+                        <dt>SHA-256</dt>
+                        <dd className="document-details-hash">
+                            {sha256 || (isHashing ? "…" : "Computed when the document is signed")}
+                        </dd>
+                    </div>
+                    {isMismatch && (
+                        <div>
+                            <dt>Expected</dt>
+                            <dd className="document-details-hash">{expectedSha256}</dd>
+                        </div>
+                    )}
+                </dl>
+                {fingerprintStatus && (
+                    <p className={`document-details-status ${fingerprintStatus.type}`}>{fingerprintStatus.message}</p>
+                )}
+                {onClearCache && (
+                    <button type="button" className="document-details-clear-cache" onClick={onClearCache}>
+                        Clear cached documents
+                    </button>
+                )}
+            </details>
+        </div>
+    );
+}
@@ -9,7 +9,7 @@ import '../ui/DocumentViewer.css';
 console.log('🔧 PDF.js version from react-pdf:', pdfjs.version);
 pdfjs.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 
-export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop, droppedFields, removeField, onSignatureApply, defaultUserName, onFieldValueChange, onFieldReposition }) {
+export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop, droppedFields, removeField, onSignatureApply, defaultUserName, onFieldValueChange, onFieldReposition, onDocumentLoad, onFieldCheckedChange, onSignatureRequest }) {
     const [isLoading, setIsLoading] = useState(true);
     const [numPages, setNumPages] = useState(null);
     const [currentPage, setCurrentPage] = useState(1);
@@ -94,8 +94,16 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
         onFieldDrop(fieldType, { xPercent, yPercent, page: currentPage });
     }, [onFieldDrop, onFieldReposition, currentPage]);
 
+    // Blob URLs and pdf.js source objects (e.g. { range }) are already local,
+    // so re-fetching them with the fallback strategies would only copy the document
+    const canUseFallbacks = typeof pdfUrl === 'string' && !pdfUrl.startsWith('blob:');
+
     // PDF loading strategies (like PDF Annotations)
-    const createPDFSource = useCallback((url, method) => {
+    const createPDFSource = useCallback((url, method, signal) => {
+        if (typeof url !== 'string') {
+            return Promise.resolve(url);
+        }
+
         switch (method) {
             case 'direct':
                 return Promise.resolve(url);
@@ -105,6 +113,7 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                     method: 'GET',
                     mode: 'cors',
                     cache: 'no-cache',
+                    signal,
                     headers: {
                         'Accept': 'application/pdf,*/*',
                         'Content-Type': 'application/pdf'
@@ -125,7 +134,8 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                 return fetch(url, {
                     method: 'GET',
                     mode: 'cors',
-                    cache: 'no-cache'
+                    cache: 'no-cache',
+                    signal
                 })
                 .then(response => {
                     if (!response.ok) {
@@ -150,13 +160,18 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
         setIsPreparingSource(true);
         setIsCanvasReady(false);
 
+        // Abort fetches for a previous document so a late response can't replace this one
+        const abortController = new AbortController();
+
         const preparePDFSource = async () => {
             try {
                 console.log(`[DocumentViewer] Preparing PDF source with method: ${loadMethod}`);
-                const source = await createPDFSource(pdfUrl, loadMethod);
+                const source = await createPDFSource(pdfUrl, loadMethod, abortController.signal);
+                if (abortController.signal.aborted) return;
                 setProcessedPdfSource(source);
                 setIsPreparingSource(false);
             } catch (error) {
+                if (abortController.signal.aborted) return;
                 console.error('[DocumentViewer] Error preparing PDF source:', error);
                 setProcessedPdfSource(pdfUrl);
                 setIsPreparingSource(false);
@@ -164,15 +179,23 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
         };
 
         preparePDFSource();
+
+        return () => {
+            abortController.abort();
+        };
     }, [pdfUrl, loadMethod, createPDFSource]);
 
     // Handle successful PDF load
-    const handleLoadSuccess = useCallback(({ numPages }) => {
+    const handleLoadSuccess = useCallback((pdfDocument) => {
+        const { numPages } = pdfDocument;
         console.log(`✅ [DocumentViewer] PDF loaded successfully with ${numPages} pages`);
         setNumPages(numPages);
         setIsLoading(false);
         setError(null);
-    }, []);
+        if (onDocumentLoad) {
+            onDocumentLoad(pdfDocument);
+        }
+    }, [onDocumentLoad]);
 
     // Handle page render success
     const handlePageRenderSuccess = useCallback(() => {
@@ -188,7 +211,7 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
         const currentMethodIndex = loadMethods.indexOf(loadMethod);
         
         // Try next loading method if available
-        if (currentMethodIndex < loadMethods.length - 1) {
+        if (canUseFallbacks && currentMethodIndex < loadMethods.length - 1) {
             const nextMethod = loadMethods[currentMethodIndex + 1];
             console.log(`🔄 [DocumentViewer] Trying fallback method: ${nextMethod}`);
             setLoadMethod(nextMethod);
@@ -229,11 +252,11 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
             message: userFriendlyError,
             technical: error.message || 'Unknown error',
             tips: troubleshootingTips,
-            methodsAttempted: currentMethodIndex + 1,
+            methodsAttempted: canUseFallbacks ? currentMethodIndex + 1 : null,
             totalMethods: loadMethods.length
         });
         setIsLoading(false);
-    }, [loadMethod]);
+    }, [loadMethod, canUseFallbacks]);
 
     // Handle page changes
     const handlePageChange = useCallback((pageNumber) => {
@@ -391,15 +414,19 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                             {currentPageFields.map(field => (
                                 <div 
                                     key={field.id}
-                                    className={`pdf-field-placeholder ${field.type}-field`}
-                                    draggable
+                                    className={`pdf-field-placeholder ${field.type}-field${field.width && field.height ? ' sized-field' : ''}${field.formFieldName ? ' form-field' : ''}`}
+                                    // Form fields are fixed by the document
+                                    draggable={!field.formFieldName}
                                     onDragStart={(e) => {
                                         e.dataTransfer.setData("dragFieldId", field.id);
                                     }}
+                                    title={field.formFieldName || undefined}
                                     style={{
                                         position: 'absolute',
                                         left: `${field.xPercent}%`,
                                         top: `${field.yPercent}%`,
+                                        // Explicit sizes are in points, which is 1px at scale 1.0
+                                        ...(field.width && field.height ? { width: `${field.width}px`, height: `${field.height}px` } : {}),
                                         transform: `translate(-50%, -50%) scale(${scale})`,
                                         transformOrigin: 'center center',
                                         zIndex: 100,
@@ -417,17 +444,30 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                                                 />
                                             </div>
                                         ) : (
-                                            // Signature Placeholder
-                                            <div className="signature-field-content unsigned">
+                                            // Signature Placeholder - click to sign
+                                            <div
+                                                className="signature-field-content unsigned"
+                                                onClick={() => onSignatureRequest && onSignatureRequest(field.id)}
+                                            >
                                                 <span>📝 Signature pending...</span>
                                             </div>
                                         )
-                                    ) : field.type === "name" ? (
+                                    ) : field.type === "checkbox" ? (
+                                        // Form checkbox
+                                        <input
+                                            type="checkbox"
+                                            className="field-checkbox-input"
+                                            checked={Boolean(field.checked)}
+                                            onChange={(e) => onFieldCheckedChange && onFieldCheckedChange(field.id, e.target.checked)}
+                                            onMouseDown={(e) => e.stopPropagation()}
+                                        />
+                                    ) : field.type === "name" || field.type === "text" ? (
                                         // Editable Name
                                         <input
                                             type="text"
                                             className="field-value-input"
                                             value={field.value || ""}
+                                            maxLength={field.maxLength}
                                             onChange={(e) => onFieldValueChange(field.id, e.target.value)}
                                             onClick={(e) => e.stopPropagation()}
                                             onMouseDown={(e) => e.stopPropagation()}
@@ -439,8 +479,8 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                                         </div>
                                     )}
 
-                                    {/* Remove button */}
-                                    <button
+                                    {/* Remove button (form fields belong to the document) */}
+                                    {!field.formFieldName && <button
                                         onClick={(e) => {
                                             e.stopPropagation();
                                             removeField(field.id);
@@ -449,7 +489,7 @@ export default function DocumentViewer({ pdfUrl, widgetInstanceId, onFieldDrop,
                                         title="Remove field"
                                     >
                                         ✕
-                                    </button>
+                                    </button>}
                                 </div>
                             ))}
                         </div>
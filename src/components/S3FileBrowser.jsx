@@ -0,0 +1,208 @@
+import { createElement, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { listS3Objects, isAbortError } from "../utils/s3-downloader";
+import { formatBytes } from "../utils/format-bytes";
+import "../ui/S3FileBrowser.css";
+
+// Last path segment of a key or prefix ("a/b/contract.pdf" -> "contract.pdf", "a/b/" -> "b")
+const getDisplayName = key => key.replace(/\/$/, "").split("/").pop();
+
+const formatDate = isoDate => (isoDate ? new Date(isoDate).toLocaleString() : "");
+
+export default function S3FileBrowser({ s3Config, bucketName, initialPrefix = "", selectedKey, onSelect, onCancel }) {
+    const [prefix, setPrefix] = useState(initialPrefix);
+    const [folders, setFolders] = useState([]);
+    const [objects, setObjects] = useState([]);
+    const [continuationToken, setContinuationToken] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [searchText, setSearchText] = useState("");
+    const [pdfOnly, setPdfOnly] = useState(true);
+    const [reloadCounter, setReloadCounter] = useState(0);
+
+    // Listing in flight (first page or "load more"), aborted when the folder changes
+    const listAbortRef = useRef(null);
+
+    // Load the first page whenever the folder changes
+    useEffect(() => {
+        const abortController = new AbortController();
+        listAbortRef.current = abortController;
+
+        setIsLoading(true);
+        setError(null);
+        setFolders([]);
+        setObjects([]);
+        setContinuationToken(null);
+
+        listS3Objects(s3Config, bucketName, { prefix, signal: abortController.signal })
+            .then(page => {
+                setFolders(page.folders);
+                setObjects(page.objects);
+                setContinuationToken(page.isTruncated ? page.nextContinuationToken : null);
+                setIsLoading(false);
+            })
+            .catch(err => {
+                if (isAbortError(err)) return;
+                console.error("[S3FileBrowser] Listing failed:", err);
+                setError(err.message);
+                setIsLoading(false);
+            });
+
+        return () => {
+            listAbortRef.current.abort();
+        };
+    }, [s3Config, bucketName, prefix, reloadCounter]);
+
+    // Append the next page of a truncated listing
+    const loadMore = useCallback(async () => {
+        const abortController = new AbortController();
+        listAbortRef.current = abortController;
+
+        setIsLoading(true);
+        try {
+            const page = await listS3Objects(s3Config, bucketName, {
+                prefix,
+                continuationToken,
+                signal: abortController.signal
+            });
+            setFolders(prev => [...prev, ...page.folders]);
+            setObjects(prev => [...prev, ...page.objects]);
+            setContinuationToken(page.isTruncated ? page.nextContinuationToken : null);
+            setIsLoading(false);
+        } catch (err) {
+            // Another folder is loading now; its listing owns the state
+            if (isAbortError(err)) return;
+            console.error("[S3FileBrowser] Loading more failed:", err);
+            setError(err.message);
+            setIsLoading(false);
+        }
+    }, [s3Config, bucketName, prefix, continuationToken]);
+
+    const openFolder = useCallback(folderPrefix => {
+        setSearchText("");
+        setPrefix(folderPrefix);
+    }, []);
+
+    // Breadcrumb segments for the current prefix
+    const breadcrumbs = useMemo(() => {
+        const segments = prefix.split("/").filter(Boolean);
+        return segments.map((segment, index) => ({
+            label: segment,
+            prefix: `${segments.slice(0, index + 1).join("/")}/`
+        }));
+    }, [prefix]);
+
+    // Search and PDF filtering apply to the loaded entries of the current folder
+    const visibleFolders = useMemo(() => {
+        const search = searchText.trim().toLowerCase();
+        return folders.filter(folder => !search || getDisplayName(folder).toLowerCase().includes(search));
+    }, [folders, searchText]);
+
+    const visibleObjects = useMemo(() => {
+        const search = searchText.trim().toLowerCase();
+        return objects.filter(
+            object =>
+                (!pdfOnly || /\.pdf$/i.test(object.key)) &&
+                (!search || getDisplayName(object.key).toLowerCase().includes(search))
+        );
+    }, [objects, searchText, pdfOnly]);
+
+    return (
+        <div className="s3-file-browser">
+            <div className="s3-browser-header">
+                <h3>Choose a document</h3>
+                {onCancel && (
+                    <button className="s3-browser-close" onClick={onCancel} title="Close">
+                        ✕
+                    </button>
+                )}
+            </div>
+
+            <div className="s3-browser-toolbar">
+                <nav className="s3-browser-breadcrumbs">
+                    <button className="s3-breadcrumb" onClick={() => openFolder("")}>
+                        🪣 {bucketName}
+                    </button>
+                    {breadcrumbs.map(crumb => (
+                        <span key={crumb.prefix}>
+                            <span className="s3-breadcrumb-separator">/</span>
+                            <button className="s3-breadcrumb" onClick={() => openFolder(crumb.prefix)}>
+                                {crumb.label}
+                            </button>
+                        </span>
+                    ))}
+                </nav>
+                <div className="s3-browser-filters">
+                    <input
+                        type="search"
+                        className="s3-browser-search"
+                        placeholder="Search this folder..."
+                        value={searchText}
+                        onChange={e => setSearchText(e.target.value)}
+                    />
+                    <label className="s3-browser-pdf-only">
+                        <input type="checkbox" checked={pdfOnly} onChange={e => setPdfOnly(e.target.checked)} />
+                        PDF only
+                    </label>
+                    <button
+                        className="s3-browser-refresh"
+                        onClick={() => setReloadCounter(count => count + 1)}
+                        title="Refresh"
+                    >
+                        ⟳
+                    </button>
+                </div>
+            </div>
+
+            {error && <p className="s3-browser-error">⚠️ {error}</p>}
+
+            <table className="s3-browser-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th className="s3-col-size">Size</th>
+                        <th className="s3-col-modified">Last modified</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {visibleFolders.map(folder => (
+                        <tr key={folder} className="s3-row folder" onClick={() => openFolder(folder)}>
+                            <td>📁 {getDisplayName(folder)}</td>
+                            <td className="s3-col-size"></td>
+                            <td className="s3-col-modified"></td>
+                        </tr>
+                    ))}
+                    {visibleObjects.map(object => (
+                        <tr
+                            key={object.key}
+                            className={`s3-row file ${object.key === selectedKey ? "selected" : ""}`}
+                            onClick={() => onSelect(object.key)}
+                            title={object.key}
+                        >
+                            <td>📄 {getDisplayName(object.key)}</td>
+                            <td className="s3-col-size">{formatBytes(object.size)}</td>
+                            <td className="s3-col-modified">{formatDate(object.lastModified)}</td>
+                        </tr>
+                    ))}
+                    {!isLoading && !error && visibleFolders.length === 0 && visibleObjects.length === 0 && (
+                        <tr>
+                            <td colSpan={3} className="s3-browser-empty">
+                                {searchText || pdfOnly
+                                    ? "No matching documents in this folder"
+                                    : "This folder is empty"}
+                            </td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+
+            <div className="s3-browser-footer">
+                {isLoading && <span className="s3-browser-loading">Loading...</span>}
+                {!isLoading && continuationToken && (
+                    <button className="s3-browser-load-more" onClick={loadMore}>
+                        Load more
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
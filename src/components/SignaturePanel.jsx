@@ -0,0 +1,72 @@
+import { createElement } from "react";
+import { SIGNATURE_STATUSES } from "../utils/signature-verifier";
+import "../ui/SignaturePanel.css";
+
+const STATUS_DISPLAY = {
+    [SIGNATURE_STATUSES.VALID]: { icon: "✅", label: "Valid" },
+    [SIGNATURE_STATUSES.MODIFIED]: { icon: "⚠️", label: "Changed after signing" },
+    [SIGNATURE_STATUSES.INVALID]: { icon: "❌", label: "Invalid" },
+    [SIGNATURE_STATUSES.UNKNOWN]: { icon: "❔", label: "Not verified" }
+};
+
+const formatDate = date => (date ? date.toLocaleString() : "Unknown");
+
+export default function SignaturePanel({ signatures, isVerifying }) {
+    if (!isVerifying && signatures.length === 0) {
+        return null;
+    }
+
+    const isIntact = signatures.every(signature => signature.status === SIGNATURE_STATUSES.VALID);
+
+    return (
+        <div className="signature-panel">
+            <h4>Existing Signatures</h4>
+
+            {isVerifying ? (
+                <p className="signature-panel-summary">Verifying signatures...</p>
+            ) : (
+                <p className={`signature-panel-summary ${isIntact ? "intact" : "attention"}`}>
+                    {isIntact
+                        ? "The document is unchanged since it was signed"
+                        : "Review the signatures below before signing"}
+                </p>
+            )}
+
+            <ul className="signature-list">
+                {signatures.map((signature, index) => {
+                    const display = STATUS_DISPLAY[signature.status];
+                    return (
+                        <li key={`${signature.fieldName}-${index}`} className={`signature-item ${signature.status}`}>
+                            <div className="signature-item-header">
+                                <span className="signature-item-icon">{display.icon}</span>
+                                <span className="signature-item-signer">
+                                    {signature.signerName || "Unknown signer"}
+                                </span>
+                            </div>
+                            <div className="signature-item-status">{display.label}</div>
+                            <div className="signature-item-detail">
+                                Signed: {formatDate(signature.timestampTime || signature.signingTime)}
+                                {signature.timestampTime && (
+                                    <span className="signature-item-badge">Verified timestamp</span>
+                                )}
+                            </div>
+                            {signature.reason && (
+                                <div className="signature-item-detail">Reason: {signature.reason}</div>
+                            )}
+                            {signature.location && (
+                                <div className="signature-item-detail">Location: {signature.location}</div>
+                            )}
+                            <p className="signature-item-message">{signature.message}</p>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <p className="signature-panel-note">
+                Certificate trust and revocation are not checked for signers or timestamp authorities. To keep these
+                signatures valid, the document can only be counter-signed with a digital signature; placed fields are
+                added as annotations after the signed revision.
+            </p>
+        </div>
+    );
+}
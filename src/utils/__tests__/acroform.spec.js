@@ -0,0 +1,132 @@
+import { detectFormFields } from "../acroform";
+
+// Widget annotation as pdf.js reports it
+const widget = (id, fieldName, fieldType, rect, extra = {}) => ({
+    id,
+    subtype: "Widget",
+    fieldName,
+    fieldType,
+    rect,
+    ...extra
+});
+
+/**
+ * Minimal pdf.js document whose pages have the given widget annotations
+ */
+const createDocument = pages => {
+    const fieldObjects = {};
+    pages.forEach(({ annotations }, pageIndex) =>
+        annotations.forEach(annotation => {
+            fieldObjects[annotation.fieldName] = [...(fieldObjects[annotation.fieldName] || []), { page: pageIndex }];
+        })
+    );
+
+    return {
+        getFieldObjects: () => Promise.resolve(pages.some(page => page.annotations.length) ? fieldObjects : null),
+        getPage: jest.fn(pageNumber => {
+            const { annotations, rotate = 0, view = [0, 0, 600, 800] } = pages[pageNumber - 1];
+            return Promise.resolve({ view, rotate, getAnnotations: () => Promise.resolve(annotations) });
+        })
+    };
+};
+
+describe("acroform", () => {
+    it("detects text, checkbox and signature fields with their values", async () => {
+        const document = createDocument([
+            {
+                annotations: [
+                    widget("10R", "name", "Tx", [100, 700, 300, 720], { fieldValue: "Alex Doe", maxLen: 40 }),
+                    widget("11R", "agree", "Btn", [100, 650, 112, 662], {
+                        checkBox: true,
+                        fieldValue: "Yes",
+                        exportValue: "Yes"
+                    }),
+                    widget("12R", "signature", "Sig", [100, 500, 250, 550])
+                ]
+            }
+        ]);
+        const fields = await detectFormFields(document);
+
+        expect(fields).toEqual([
+            {
+                id: "form-10R",
+                type: "text",
+                page: 1,
+                xPercent: (200 / 600) * 100,
+                yPercent: (90 / 800) * 100,
+                width: 200,
+                height: 20,
+                formFieldName: "name",
+                value: "Alex Doe",
+                maxLength: 40
+            },
+            expect.objectContaining({ id: "form-11R", type: "checkbox", checked: true, width: 12, height: 12 }),
+            expect.objectContaining({ id: "form-12R", type: "signature", formFieldName: "signature" })
+        ]);
+    });
+
+    it("treats a checkbox set to another export value as unchecked", async () => {
+        const document = createDocument([
+            {
+                annotations: [
+                    widget("11R", "agree", "Btn", [100, 650, 112, 662], {
+                        checkBox: true,
+                        fieldValue: "Off",
+                        exportValue: "Yes"
+                    })
+                ]
+            }
+        ]);
+        const [field] = await detectFormFields(document);
+
+        expect(field.checked).toBe(false);
+    });
+
+    it("leaves out unsupported, read-only, hidden and zero-area fields", async () => {
+        const document = createDocument([
+            {
+                annotations: [
+                    widget("1R", "choice", "Btn", [100, 700, 112, 712], { radioButton: true }),
+                    widget("2R", "list", "Ch", [100, 650, 200, 670]),
+                    widget("3R", "locked", "Tx", [100, 600, 200, 620], { readOnly: true }),
+                    widget("4R", "hidden", "Tx", [100, 550, 200, 570], { hidden: true }),
+                    widget("5R", "invisible", "Sig", [0, 0, 0, 0]),
+                    { id: "6R", subtype: "Link", rect: [100, 500, 200, 520] }
+                ]
+            }
+        ]);
+
+        expect(await detectFormFields(document)).toEqual([]);
+    });
+
+    it("swaps the field size on pages rotated sideways", async () => {
+        const document = createDocument([
+            { rotate: 90, annotations: [widget("10R", "name", "Tx", [100, 200, 300, 220])] }
+        ]);
+        const [field] = await detectFormFields(document);
+
+        expect(field).toMatchObject({ width: 20, height: 200 });
+        // Displayed page is 800x600; the field center (200, 210) lands at (210, 200)
+        expect(field.xPercent).toBeCloseTo((210 / 800) * 100);
+        expect(field.yPercent).toBeCloseTo((200 / 600) * 100);
+    });
+
+    it("reads only the pages that hold form fields", async () => {
+        const document = createDocument([
+            { annotations: [] },
+            { annotations: [widget("10R", "name", "Tx", [100, 700, 300, 720])] },
+            { annotations: [] }
+        ]);
+        const fields = await detectFormFields(document);
+
+        expect(fields.map(field => field.page)).toEqual([2]);
+        expect(document.getPage).toHaveBeenCalledTimes(1);
+    });
+
+    it("returns nothing for documents without a form", async () => {
+        const document = createDocument([{ annotations: [] }]);
+
+        expect(await detectFormFields(document)).toEqual([]);
+        expect(document.getPage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,108 @@
+import { placeFieldsFromAnchors } from "../anchor-placement";
+
+// Text item as pdf.js reports it: horizontal 12pt text at (x, y)
+const textItem = (str, x, y, width, hasEOL = false) => ({
+    str,
+    transform: [12, 0, 0, 12, x, y],
+    width,
+    height: 12,
+    hasEOL
+});
+
+/**
+ * Minimal pdf.js document whose pages have the given text items
+ */
+const createDocument = pages => ({
+    numPages: pages.length,
+    getPage: pageNumber => {
+        const { items, rotate = 0, view = [0, 0, 600, 800] } = pages[pageNumber - 1];
+        return Promise.resolve({ view, rotate, getTextContent: () => Promise.resolve({ items }) });
+    }
+});
+
+describe("anchor-placement", () => {
+    beforeEach(() => {
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("puts the field's top-left corner on the anchor's top-left corner", async () => {
+        const document = createDocument([{ items: [textItem("Signature:", 100, 700, 60)] }]);
+        const [field] = await placeFieldsFromAnchors(document, [{ anchorText: "Signature:", fieldType: "signature" }]);
+
+        // Anchor top-left is (100, 88) on the page; a signature box is 150x40
+        expect(field).toMatchObject({ id: "anchor-1-1-1", type: "signature", page: 1 });
+        expect(field.xPercent).toBeCloseTo((175 / 600) * 100);
+        expect(field.yPercent).toBeCloseTo((108 / 800) * 100);
+    });
+
+    it("applies the rule's offset in displayed page points", async () => {
+        const document = createDocument([{ items: [textItem("Date:", 100, 700, 30)] }]);
+        const [field] = await placeFieldsFromAnchors(document, [
+            { anchorText: "Date:", fieldType: "date", offsetX: 40, offsetY: -10 }
+        ]);
+
+        // A date box is 120x36
+        expect(field.xPercent).toBeCloseTo(((100 + 40 + 60) / 600) * 100);
+        expect(field.yPercent).toBeCloseTo(((88 - 10 + 18) / 800) * 100);
+    });
+
+    it("places a field for every occurrence with stable ids", async () => {
+        const document = createDocument([
+            { items: [textItem("{{sig}}", 50, 600, 40, true), textItem("{{sig}}", 50, 400, 40)] },
+            { items: [textItem("{{sig}}", 50, 600, 40)] }
+        ]);
+        const rules = [{ anchorText: "{{sig}}", fieldType: "name" }];
+        const fields = await placeFieldsFromAnchors(document, rules);
+
+        expect(fields.map(field => field.id)).toEqual(["anchor-1-1-1", "anchor-1-1-2", "anchor-1-2-1"]);
+        expect(await placeFieldsFromAnchors(document, rules)).toEqual(fields);
+    });
+
+    it("matches anchors split across text items on one line but not across lines", async () => {
+        const document = createDocument([
+            {
+                items: [
+                    textItem("Sign", 100, 700, 24),
+                    textItem("ature", 124, 700, 30, true),
+                    textItem("here", 100, 680, 24)
+                ]
+            }
+        ]);
+
+        expect(await placeFieldsFromAnchors(document, [{ anchorText: "Signature" }])).toHaveLength(1);
+        expect(await placeFieldsFromAnchors(document, [{ anchorText: "aturehere" }])).toHaveLength(0);
+    });
+
+    it("supports regular expression anchors and skips invalid ones", async () => {
+        const document = createDocument([{ items: [textItem("Sign here: ______", 100, 700, 100)] }]);
+        const fields = await placeFieldsFromAnchors(document, [
+            { anchorText: "_{3,}", isRegex: true, fieldType: "signature" },
+            { anchorText: "(", isRegex: true, fieldType: "name" },
+            { anchorText: "x*", isRegex: true, fieldType: "name" }
+        ]);
+
+        expect(fields.map(field => field.id)).toEqual(["anchor-1-1-1"]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it("converts anchor positions on rotated pages", async () => {
+        // Rotated 90 degrees: user space x runs down the displayed page, y runs right
+        const document = createDocument([{ rotate: 90, items: [textItem("X", 100, 200, 10)] }]);
+        const [field] = await placeFieldsFromAnchors(document, [{ anchorText: "X", fieldType: "checkbox" }]);
+
+        // Displayed page is 800x600; anchor top-left is at (200, 100)
+        expect(field.xPercent).toBeCloseTo(((200 + 7) / 800) * 100);
+        expect(field.yPercent).toBeCloseTo(((100 + 7) / 600) * 100);
+    });
+
+    it("returns nothing when no rule has anchor text", async () => {
+        const document = { numPages: 1, getPage: jest.fn() };
+
+        expect(await placeFieldsFromAnchors(document, [{ anchorText: "" }])).toEqual([]);
+        expect(document.getPage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * @jest-environment node
+ */
+
+import { Buffer } from "buffer";
+import { inflateSync } from "zlib";
+import { PDFArray, PDFDocument, PDFName } from "pdf-lib";
+import { AUDIT_EVENT_TYPES, appendAuditTrailPages, buildAuditTrail, createAuditEvent } from "../audit-trail";
+import { SIGNATURE_PNG, createPdf } from "./signing-fixtures";
+
+const event = (type, time, details = {}) => ({ id: `${type}-${time}`, type, time, actor: "Alex Doe", ...details });
+
+const fields = [
+    { id: "sig-1", type: "signature", page: 1, signatureData: SIGNATURE_PNG, fullName: "Alex Doe", initials: "AD" },
+    { id: "sig-2", type: "signature", page: 3, signatureData: SIGNATURE_PNG, fullName: "Alex Doe", initials: "AD" },
+    { id: "sig-3", type: "signature", page: 2, signatureData: SIGNATURE_PNG, fullName: "Sam Roe", initials: "SR" },
+    { id: "sig-4", type: "signature", page: 2, signatureData: null, fullName: "Kim Poe" },
+    { id: "name-1", type: "name", page: 1, value: "Alex Doe" }
+];
+
+const events = [
+    event(AUDIT_EVENT_TYPES.SIGNATURE_APPLIED, "2024-05-02T09:20:00.000Z", {
+        fieldId: "sig-2",
+        signer: "Alex Doe",
+        page: 3
+    }),
+    event(AUDIT_EVENT_TYPES.DOCUMENT_OPENED, "2024-05-02T09:00:00.000Z"),
+    event(AUDIT_EVENT_TYPES.SIGNATURE_APPLIED, "2024-05-02T09:10:00.000Z", {
+        fieldId: "sig-1",
+        signer: "Alex Doe",
+        page: 1
+    }),
+    event(AUDIT_EVENT_TYPES.SIGNATURE_APPLIED, "2024-05-02T09:15:00.000Z", {
+        fieldId: "sig-3",
+        signer: "Sam Roe",
+        page: 2,
+        signatureType: "drawn"
+    })
+];
+
+/**
+ * Text drawn on a page (pdf-lib writes standard font text as hex strings in Flate content streams)
+ */
+const readPageText = (pdfDoc, pageIndex) => {
+    const { node } = pdfDoc.getPage(pageIndex);
+    const contents = node.Contents();
+    const streams = contents instanceof PDFArray ? contents.asArray().map(ref => node.context.lookup(ref)) : [contents];
+    const operators = streams.map(stream => inflateSync(stream.contents).toString("latin1")).join("\n");
+    return [...operators.matchAll(/<([0-9A-F]*)> Tj/g)].map(([, hex]) => Buffer.from(hex, "hex").toString("latin1"));
+};
+
+describe("audit-trail", () => {
+    describe("createAuditEvent", () => {
+        it("stamps the event with an id and the current time", () => {
+            const created = createAuditEvent(AUDIT_EVENT_TYPES.FIELD_PLACED, null, { fieldType: "name", page: 2 });
+
+            expect(created).toEqual({
+                id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+                type: AUDIT_EVENT_TYPES.FIELD_PLACED,
+                time: expect.any(String),
+                actor: null,
+                fieldType: "name",
+                page: 2
+            });
+            expect(new Date(created.time).toISOString()).toBe(created.time);
+        });
+    });
+
+    describe("buildAuditTrail", () => {
+        const auditTrail = buildAuditTrail({
+            document: { name: "lease.pdf", sha256: "abc" },
+            fields,
+            events,
+            completedAt: new Date("2024-05-02T09:30:00Z")
+        });
+
+        it("lists each signer once with their signed fields and last signature time", () => {
+            expect(
+                auditTrail.signers.map(({ name, initials, signedAt, fields: signed }) => ({
+                    name,
+                    initials,
+                    signedAt,
+                    signed
+                }))
+            ).toEqual([
+                {
+                    name: "Alex Doe",
+                    initials: "AD",
+                    signedAt: "2024-05-02T09:20:00.000Z",
+                    signed: [
+                        { id: "sig-1", page: 1 },
+                        { id: "sig-2", page: 3 }
+                    ]
+                },
+                {
+                    name: "Sam Roe",
+                    initials: "SR",
+                    signedAt: "2024-05-02T09:15:00.000Z",
+                    signed: [{ id: "sig-3", page: 2 }]
+                }
+            ]);
+        });
+
+        it("orders the events by time", () => {
+            expect(auditTrail.events.map(({ time }) => time)).toEqual([
+                "2024-05-02T09:00:00.000Z",
+                "2024-05-02T09:10:00.000Z",
+                "2024-05-02T09:15:00.000Z",
+                "2024-05-02T09:20:00.000Z"
+            ]);
+            expect(events[0].time).toBe("2024-05-02T09:20:00.000Z");
+        });
+
+        it("fills in the document details it wasn't given", () => {
+            expect(auditTrail).toMatchObject({
+                auditTrailVersion: 1,
+                document: {
+                    name: "lease.pdf",
+                    source: null,
+                    key: null,
+                    versionId: null,
+                    sha256: "abc",
+                    pageCount: null
+                },
+                completedAt: "2024-05-02T09:30:00.000Z"
+            });
+        });
+    });
+
+    describe("appendAuditTrailPages", () => {
+        it("appends a certificate after the document's own pages", async () => {
+            const auditTrail = buildAuditTrail({ document: { name: "lease.pdf", sha256: "abc" }, fields, events });
+            const pdfDoc = await PDFDocument.load(
+                await appendAuditTrailPages(await createPdf({ pageCount: 2 }), auditTrail)
+            );
+            const text = readPageText(pdfDoc, 2);
+
+            expect(pdfDoc.getPageCount()).toBe(3);
+            expect(readPageText(pdfDoc, 0)).toEqual(["Page 1"]);
+            expect(text).toEqual(
+                expect.arrayContaining([
+                    "Certificate of Completion",
+                    "Signers (2)",
+                    "Alex Doe",
+                    "Sam Roe",
+                    "2024-05-02 09:15:00 UTC Signed by Sam Roe on page 2 (drawn)",
+                    "Certificate of completion - page 1 of 1 - times are UTC"
+                ])
+            );
+            expect(pdfDoc.getPage(2).node.Resources().lookup(PDFName.of("XObject"))).toBeDefined();
+        });
+
+        it("continues the certificate on new pages when it doesn't fit", async () => {
+            const manyEvents = Array.from({ length: 120 }, (_, index) =>
+                event(AUDIT_EVENT_TYPES.FIELD_PLACED, new Date(Date.UTC(2024, 4, 2, 9, index)).toISOString(), {
+                    fieldType: "name",
+                    page: 1
+                })
+            );
+            const auditTrail = buildAuditTrail({ fields: [], events: manyEvents });
+            const pdfDoc = await PDFDocument.load(await appendAuditTrailPages(await createPdf(), auditTrail));
+            const certificatePages = pdfDoc.getPageCount() - 1;
+
+            expect(certificatePages).toBeGreaterThan(1);
+            expect(readPageText(pdfDoc, pdfDoc.getPageCount() - 1)).toContain(
+                `Certificate of completion - page ${certificatePages} of ${certificatePages} - times are UTC`
+            );
+        });
+    });
+});
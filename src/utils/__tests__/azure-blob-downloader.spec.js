@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+
+import { Buffer } from "buffer";
+import { createHmac } from "crypto";
+import { buildBlobUrl, createAzureRangeFetcher, createSharedKeyHeaders } from "../azure-blob-downloader";
+
+const config = { accountName: "account", accountKey: Buffer.from("account-key").toString("base64") };
+
+const NOW = Date.parse("2024-05-01T10:00:00Z");
+const MS_DATE = "Wed, 01 May 2024 10:00:00 GMT";
+
+/**
+ * Shared Key signature of a string-to-sign, computed with Node's crypto rather than crypto-js
+ */
+const sign = stringToSign =>
+    createHmac("sha256", Buffer.from(config.accountKey, "base64")).update(stringToSign).digest("base64");
+
+describe("azure-blob-downloader", () => {
+    beforeEach(() => {
+        jest.spyOn(Date, "now").mockReturnValue(NOW);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    describe("createSharedKeyHeaders", () => {
+        it("signs the standard headers, x-ms- headers and resource", () => {
+            const headers = createSharedKeyHeaders(
+                config,
+                "GET",
+                "/docs/a%20b.pdf",
+                {},
+                {
+                    Range: "bytes=0-99",
+                    "If-Match": '"0x8D"',
+                    "Content-Length": "0"
+                }
+            );
+            const stringToSign = [
+                "GET",
+                "", // Content-Encoding
+                "", // Content-Language
+                "", // Content-Length (zero is signed as empty)
+                "", // Content-MD5
+                "", // Content-Type
+                "", // Date
+                "", // If-Modified-Since
+                '"0x8D"',
+                "", // If-None-Match
+                "", // If-Unmodified-Since
+                "bytes=0-99",
+                `x-ms-date:${MS_DATE}`,
+                "x-ms-version:2021-08-06",
+                "/account/docs/a%20b.pdf"
+            ].join("\n");
+
+            expect(headers).toEqual({
+                "x-ms-date": MS_DATE,
+                "x-ms-version": "2021-08-06",
+                Authorization: `SharedKey account:${sign(stringToSign)}`
+            });
+        });
+
+        it("adds query parameters to the resource sorted by name", () => {
+            const headers = createSharedKeyHeaders(config, "GET", "/docs", { restype: "container", comp: "list" });
+            const stringToSign = [
+                "GET",
+                ...Array(11).fill(""),
+                `x-ms-date:${MS_DATE}`,
+                "x-ms-version:2021-08-06",
+                "/account/docs",
+                "comp:list",
+                "restype:container"
+            ].join("\n");
+
+            expect(headers.Authorization).toBe(`SharedKey account:${sign(stringToSign)}`);
+        });
+    });
+
+    describe("buildBlobUrl", () => {
+        it("appends the SAS token after the query", () => {
+            const url = buildBlobUrl({ ...config, sasToken: "?sv=2021&sig=abc%3D" }, "docs", "a b.pdf", {
+                restype: "container"
+            });
+
+            expect(url).toBe(
+                "https://account.blob.core.windows.net/docs/a%20b.pdf?restype=container&sv=2021&sig=abc%3D"
+            );
+        });
+
+        it("keeps the account path of an emulator endpoint", () => {
+            const url = buildBlobUrl(
+                { ...config, endpoint: "http://127.0.0.1:10000/devstoreaccount1/" },
+                "docs",
+                "a.pdf"
+            );
+
+            expect(url).toBe("http://127.0.0.1:10000/devstoreaccount1/docs/a.pdf");
+        });
+    });
+
+    describe("createAzureRangeFetcher", () => {
+        it("signs range requests with the shared key", async () => {
+            global.fetch = jest.fn(() => Promise.resolve(new Response("", { status: 206 })));
+            await createAzureRangeFetcher(config, "docs", "a.pdf")(0, 100);
+            const [url, { headers }] = global.fetch.mock.calls[0];
+
+            expect(url).toBe("https://account.blob.core.windows.net/docs/a.pdf");
+            expect(headers).toMatchObject({ Range: "bytes=0-99", "x-ms-date": MS_DATE });
+            expect(headers.Authorization).toMatch(/^SharedKey account:/);
+        });
+
+        it("leaves the shared key out when a SAS token is used", async () => {
+            global.fetch = jest.fn(() => Promise.resolve(new Response("", { status: 206 })));
+            await createAzureRangeFetcher({ ...config, sasToken: "sv=2021&sig=abc" }, "docs", "a.pdf")(0, 100);
+            const [url, { headers }] = global.fetch.mock.calls[0];
+
+            expect(url).toBe("https://account.blob.core.windows.net/docs/a.pdf?sv=2021&sig=abc");
+            expect(headers).toEqual({ Range: "bytes=0-99" });
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { clearDocumentCache, downloadWithCache, getCachedDocument } from "../document-cache";
+
+/**
+ * In-memory stand-in for the parts of IndexedDB the cache uses
+ */
+const createIndexedDb = () => {
+    const records = new Map();
+    const request = run => {
+        const pending = {};
+        setTimeout(() => {
+            pending.result = run();
+            pending.onsuccess();
+        });
+        return pending;
+    };
+
+    const store = {
+        get: key => request(() => records.get(key)),
+        put: value => request(() => records.set(value.cacheKey, value) && value.cacheKey),
+        delete: key => request(() => records.delete(key)),
+        clear: () => request(() => records.clear()),
+        index: () => ({
+            getAllKeys: () =>
+                request(() =>
+                    [...records.values()].sort((a, b) => a.cachedAt - b.cachedAt).map(record => record.cacheKey)
+                )
+        })
+    };
+    const db = { objectStoreNames: { contains: () => true }, transaction: () => ({ objectStore: () => store }) };
+
+    return { records, open: () => request(() => db) };
+};
+
+const KEY = "s3|bucket/a.pdf@latest";
+
+const downloaded = (overrides = {}) => ({
+    buffer: new Uint8Array([37, 80, 68, 70]),
+    contentType: "application/pdf",
+    size: 4,
+    etag: '"v1"',
+    versionId: "version-1",
+    ...overrides
+});
+
+describe("document-cache", () => {
+    const indexedDb = createIndexedDb();
+
+    beforeAll(() => {
+        global.indexedDB = indexedDb;
+    });
+
+    afterAll(() => {
+        delete global.indexedDB;
+    });
+
+    beforeEach(() => {
+        indexedDb.records.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("caches a download and serves it when the ETag is unchanged", async () => {
+        await downloadWithCache(KEY, () => Promise.resolve(downloaded()));
+        const download = jest.fn(() => Promise.resolve({ notModified: true }));
+        const result = await downloadWithCache(KEY, download);
+
+        expect(download).toHaveBeenCalledWith('"v1"');
+        expect(result).toMatchObject({ fromCache: true, isStale: false, versionId: "version-1", size: 4 });
+        expect(Array.from(result.buffer)).toEqual([37, 80, 68, 70]);
+    });
+
+    it("serves the cached copy as stale only while the browser is offline", async () => {
+        await downloadWithCache(KEY, () => Promise.resolve(downloaded()));
+        const failingDownload = () => Promise.reject(new TypeError("Failed to fetch"));
+
+        await expect(downloadWithCache(KEY, failingDownload)).rejects.toThrow("Failed to fetch");
+
+        jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+        expect(await downloadWithCache(KEY, failingDownload)).toMatchObject({ fromCache: true, isStale: true });
+    });
+
+    it("doesn't cache documents without a readable ETag", async () => {
+        const result = await downloadWithCache(KEY, () => Promise.resolve(downloaded({ etag: null })));
+
+        expect(result).toMatchObject({ fromCache: false, isCached: false });
+        expect(await getCachedDocument(KEY)).toBeNull();
+    });
+
+    it("clears every cached document", async () => {
+        await downloadWithCache(KEY, () => Promise.resolve(downloaded()));
+        await clearDocumentCache();
+
+        expect(await getCachedDocument(KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,185 @@
+import {
+    buildFieldDataEnvelope,
+    FIELD_DATA_SCHEMA_VERSION,
+    migrateFieldData,
+    parseFieldData,
+    serializeFieldData
+} from "../field-data-schema";
+
+const SIGNATURE_PNG = "data:image/png;base64,iVBORw0KGgo=";
+
+const pages = [{ page: 1, width: 612, height: 792, rotation: 0, cropBox: { x: 0, y: 0, width: 612, height: 792 } }];
+
+const fields = [
+    {
+        id: "f1",
+        type: "signature",
+        page: 1,
+        xPercent: 40,
+        yPercent: 80,
+        signatureData: SIGNATURE_PNG,
+        fullName: "Alex Doe",
+        signatureType: "drawn"
+    },
+    {
+        id: "f2",
+        type: "signature",
+        page: 1,
+        xPercent: 60,
+        yPercent: 80,
+        signatureData: SIGNATURE_PNG,
+        fullName: "Alex Doe"
+    },
+    { id: "f3", type: "date", page: 1, xPercent: 10, yPercent: 10, value: "2024-05-01", width: 90, height: 20 },
+    { id: "f4", type: "checkbox", page: 1, xPercent: 5, yPercent: 5, formFieldName: "agree", checked: true }
+];
+
+describe("field-data-schema", () => {
+    describe("round trip", () => {
+        it("restores the fields it serialized", () => {
+            const json = serializeFieldData({
+                fields,
+                document: { source: "s3", key: "docs/a.pdf", versionId: "v1", sha256: "abc" },
+                pages,
+                dismissedFieldIds: ["anchor-1-1-1"],
+                auditEvents: [{ type: "signed", time: "2024-05-01T10:00:00.000Z" }],
+                timestamp: { time: "2024-05-01T10:00:01.000Z", serialNumber: "0a" }
+            });
+            const result = parseFieldData(json);
+
+            expect(result.problems).toEqual([]);
+            expect(result.migratedFrom).toBeNull();
+            expect(result.document).toEqual({ source: "s3", key: "docs/a.pdf", versionId: "v1", sha256: "abc" });
+            expect(result.pages).toEqual(pages);
+            expect(result.dismissedFieldIds).toEqual(["anchor-1-1-1"]);
+            expect(result.auditEvents).toEqual([{ type: "signed", time: "2024-05-01T10:00:00.000Z" }]);
+            expect(result.timestamp).toEqual({ time: "2024-05-01T10:00:01.000Z", serialNumber: "0a" });
+            expect(result.fields).toEqual(fields.map(field => ({ ...field, documentVersionId: "v1" })));
+        });
+
+        it("stores identical signature images once", () => {
+            const envelope = buildFieldDataEnvelope({ fields, pages });
+
+            expect(envelope.schemaVersion).toBe(FIELD_DATA_SCHEMA_VERSION);
+            expect(Object.keys(envelope.images)).toEqual(["img1"]);
+            expect(envelope.fields[0].signature.imageId).toBe("img1");
+            expect(envelope.fields[1].signature.imageId).toBe("img1");
+        });
+
+        it("adds PDF rects for pages with known geometry only", () => {
+            const envelope = buildFieldDataEnvelope({
+                fields: [...fields, { id: "f5", type: "name", page: 2, xPercent: 50, yPercent: 50 }],
+                pages
+            });
+
+            expect(envelope.fields[2].pdfRect).toEqual({ x: 16.2, y: 702.8, width: 90, height: 20 });
+            expect(envelope.fields[4].pdfRect).toBeUndefined();
+        });
+
+        it("stores width and height only for fields with their own size", () => {
+            const envelope = buildFieldDataEnvelope({ fields, pages });
+
+            expect(envelope.fields[0].width).toBeUndefined();
+            expect(envelope.fields[2]).toMatchObject({ width: 90, height: 20 });
+        });
+
+        it("leaves optional sections out when they are empty", () => {
+            const envelope = buildFieldDataEnvelope({ fields: [] });
+
+            expect(envelope).not.toHaveProperty("dismissedFieldIds");
+            expect(envelope).not.toHaveProperty("auditEvents");
+            expect(envelope).not.toHaveProperty("timestamp");
+        });
+    });
+
+    describe("parseFieldData", () => {
+        it("returns an empty result for empty input", () => {
+            expect(parseFieldData("")).toMatchObject({ fields: [], dismissedFieldIds: [], problems: [] });
+        });
+
+        it("throws on JSON it can't read", () => {
+            expect(() => parseFieldData("{not json")).toThrow("Field data is not valid JSON");
+            expect(() => parseFieldData("{}")).toThrow("no schemaVersion");
+            expect(() => parseFieldData('{"schemaVersion":1}')).toThrow("no fields array");
+        });
+
+        it("drops invalid fields and reports why", () => {
+            const json = JSON.stringify({
+                schemaVersion: 1,
+                pages,
+                fields: [
+                    { id: "ok", type: "name", page: 1, xPercent: 1, yPercent: 1 },
+                    { id: "bad-type", type: "stamp", page: 1, xPercent: 1, yPercent: 1 },
+                    { id: "bad-page", type: "name", page: 3, xPercent: 1, yPercent: 1 },
+                    { id: "bad-position", type: "name", page: 1, xPercent: 120, yPercent: 1 },
+                    {
+                        id: "bad-image",
+                        type: "signature",
+                        page: 1,
+                        xPercent: 1,
+                        yPercent: 1,
+                        signature: { imageId: "img9" }
+                    }
+                ]
+            });
+            const result = parseFieldData(json);
+
+            expect(result.fields.map(field => field.id)).toEqual(["ok"]);
+            expect(result.problems).toEqual([
+                'Field 2 (bad-type): unknown type "stamp"',
+                "Field 3 (bad-page): page 3 is beyond the document's 1 pages",
+                "Field 4 (bad-position): position outside the page",
+                'Field 5 (bad-image): signature image "img9" not found'
+            ]);
+        });
+
+        it("keeps a stored size only when both width and height are present", () => {
+            const json = JSON.stringify({
+                schemaVersion: 1,
+                fields: [
+                    { id: "f1", type: "signature", page: 1, xPercent: 1, yPercent: 1, width: 150, height: 40 },
+                    { id: "f2", type: "signature", page: 1, xPercent: 1, yPercent: 1, width: 150 }
+                ]
+            });
+            const [withSize, withoutSize] = parseFieldData(json).fields;
+
+            expect(withSize).toMatchObject({ width: 150, height: 40 });
+            expect(withoutSize).not.toHaveProperty("width");
+        });
+
+        it("ignores malformed dismissed ids and audit events", () => {
+            const json = JSON.stringify({
+                schemaVersion: 1,
+                fields: [],
+                dismissedFieldIds: ["anchor-1-1-1", 7],
+                auditEvents: [{ type: "viewed", time: "2024-05-01T10:00:00.000Z" }, { type: "viewed" }, "signed"]
+            });
+            const result = parseFieldData(json);
+
+            expect(result.dismissedFieldIds).toEqual(["anchor-1-1-1"]);
+            expect(result.auditEvents).toEqual([{ type: "viewed", time: "2024-05-01T10:00:00.000Z" }]);
+        });
+    });
+
+    describe("migrateFieldData", () => {
+        it("migrates a version 0 field array", () => {
+            const legacy = [{ id: "f1", type: "name", page: 1, xPercent: 5, yPercent: 5, documentVersionId: "v7" }];
+            const { envelope, migratedFrom } = migrateFieldData(legacy);
+
+            expect(migratedFrom).toBe(0);
+            expect(envelope.schemaVersion).toBe(FIELD_DATA_SCHEMA_VERSION);
+            expect(envelope.document.versionId).toBe("v7");
+            expect(parseFieldData(JSON.stringify(legacy)).fields[0]).toMatchObject({
+                id: "f1",
+                documentVersionId: "v7"
+            });
+        });
+
+        it("rejects versions it doesn't support", () => {
+            expect(() => migrateFieldData({ schemaVersion: FIELD_DATA_SCHEMA_VERSION + 1, fields: [] })).toThrow(
+                "newer than this widget supports"
+            );
+            expect(() => migrateFieldData({ schemaVersion: 0, fields: [] })).toThrow("is not supported");
+        });
+    });
+});
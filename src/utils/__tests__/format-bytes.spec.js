@@ -0,0 +1,12 @@
+import { formatBytes } from "../format-bytes";
+
+describe("format-bytes", () => {
+    it.each([
+        [0, "0 B"],
+        [512.4, "512 B"],
+        [1536, "1.5 KB"],
+        [1.4 * 1024 * 1024, "1.4 MB"]
+    ])("formats %d bytes as %s", (bytes, expected) => {
+        expect(formatBytes(bytes)).toBe(expected);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+import { createHash, createHmac } from "crypto";
+import { createGcsRangeFetcher, toGcsS3Config } from "../gcs-downloader";
+
+// The range transport extends pdf.js's PDFDataRangeTransport, which jest can't load as an ES module
+jest.mock("react-pdf", () => ({ pdfjs: { PDFDataRangeTransport: class {} } }));
+
+const config = { accessKey: "GOOG1EXAMPLE", secret: "gcs-secret" };
+
+const NOW = Date.parse("2024-05-01T10:00:00Z");
+const AMZ_DATE = "20240501T100000Z";
+
+describe("gcs-downloader", () => {
+    beforeEach(() => {
+        jest.spyOn(Date, "now").mockReturnValue(NOW);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    it("maps HMAC keys to a path-style S3 config for storage.googleapis.com", () => {
+        expect(toGcsS3Config(config)).toEqual({
+            accessKey: "GOOG1EXAMPLE",
+            secretKey: "gcs-secret",
+            region: "auto",
+            sessionToken: null,
+            endpoint: "https://storage.googleapis.com",
+            forcePathStyle: true
+        });
+        expect(toGcsS3Config({ ...config, endpoint: "http://localhost:4443" }).endpoint).toBe("http://localhost:4443");
+    });
+
+    it("signs requests with Signature V4 in the auto region", async () => {
+        global.fetch = jest.fn(() => Promise.resolve(new Response("", { status: 206 })));
+        await createGcsRangeFetcher(config, "my.bucket", "a.pdf")(0, 100);
+        const [url, { headers }] = global.fetch.mock.calls[0];
+
+        const canonicalRequest = [
+            "GET",
+            "/my.bucket/a.pdf",
+            "",
+            "host:storage.googleapis.com",
+            "x-amz-content-sha256:UNSIGNED-PAYLOAD",
+            `x-amz-date:${AMZ_DATE}`,
+            "",
+            "host;x-amz-content-sha256;x-amz-date",
+            "UNSIGNED-PAYLOAD"
+        ].join("\n");
+        const scope = "20240501/auto/s3/aws4_request";
+        const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+        const signingKey = ["20240501", "auto", "s3", "aws4_request"].reduce(hmac, "AWS4gcs-secret");
+        const stringToSign = [
+            "AWS4-HMAC-SHA256",
+            AMZ_DATE,
+            scope,
+            createHash("sha256").update(canonicalRequest).digest("hex")
+        ].join("\n");
+
+        expect(url).toBe("https://storage.googleapis.com/my.bucket/a.pdf");
+        expect(headers.Range).toBe("bytes=0-99");
+        expect(headers.Authorization).toBe(
+            `AWS4-HMAC-SHA256 Credential=GOOG1EXAMPLE/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, ` +
+                `Signature=${hmac(signingKey, stringToSign).toString("hex")}`
+        );
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+
+import forge from "node-forge";
+import { createExternalSigner, createP12Signer, signPdf } from "../pades-signer";
+import { SIGNATURE_STATUSES, verifyPdfSignatures } from "../signature-verifier";
+import { createIdentity, createP12, createPdf, fromBinaryString, toBinaryString } from "./signing-fixtures";
+
+describe("pades-signer", () => {
+    let identity;
+    let signer;
+
+    beforeAll(() => {
+        identity = createIdentity("Alex Doe");
+        signer = createP12Signer(createP12(identity, "secret"), "secret");
+    });
+
+    describe("signPdf", () => {
+        it("produces a signature the verifier accepts", async () => {
+            const signingTime = new Date("2024-06-01T12:00:00Z");
+            const [result] = await verifyPdfSignatures(
+                await signPdf(await createPdf(), signer, {
+                    fieldName: "Approval",
+                    reason: "Approved",
+                    location: "Amsterdam",
+                    signingTime
+                })
+            );
+
+            expect(result).toMatchObject({
+                status: SIGNATURE_STATUSES.VALID,
+                fieldName: "Approval",
+                signerName: "Alex Doe",
+                reason: "Approved",
+                location: "Amsterdam",
+                subFilter: "ETSI.CAdES.detached",
+                coversWholeDocument: true,
+                signingTime
+            });
+        });
+
+        it.each([false, true])("leaves the original bytes untouched (object streams: %s)", async useObjectStreams => {
+            const pdfBytes = await createPdf({ useObjectStreams });
+            const signed = await signPdf(pdfBytes, signer);
+
+            expect(signed.subarray(0, pdfBytes.length)).toEqual(pdfBytes);
+        });
+
+        it("keeps the first signature's revision intact when counter-signed", async () => {
+            const countersigner = createP12Signer(createP12(createIdentity("Sam Roe", "03"), "secret"), "secret");
+            const signed = await signPdf(await createPdf(), signer, { fieldName: "First" });
+            const results = await verifyPdfSignatures(await signPdf(signed, countersigner, { fieldName: "Second" }));
+
+            expect(results.map(({ fieldName, signerName, status }) => ({ fieldName, signerName, status }))).toEqual([
+                { fieldName: "First", signerName: "Alex Doe", status: SIGNATURE_STATUSES.MODIFIED },
+                { fieldName: "Second", signerName: "Sam Roe", status: SIGNATURE_STATUSES.VALID }
+            ]);
+        });
+
+        it("signs through an external signer", async () => {
+            const sign = jest.fn(signedAttributes => {
+                const md = forge.md.sha256.create().update(toBinaryString(signedAttributes));
+                return Promise.resolve(forge.util.encode64(identity.key.sign(md)));
+            });
+            const externalSigner = createExternalSigner({
+                certificates: [forge.pki.certificateToPem(identity.certificate)],
+                sign
+            });
+            const [result] = await verifyPdfSignatures(await signPdf(await createPdf(), externalSigner));
+
+            expect(sign).toHaveBeenCalledTimes(1);
+            expect(result.status).toBe(SIGNATURE_STATUSES.VALID);
+        });
+    });
+
+    describe("createP12Signer", () => {
+        it("rejects a wrong password", () => {
+            expect(() => createP12Signer(createP12(identity, "secret"), "wrong")).toThrow(
+                "Could not open the certificate file"
+            );
+        });
+
+        it("rejects a file that isn't PKCS#12", () => {
+            expect(() => createP12Signer(fromBinaryString("not a certificate"), "secret")).toThrow(
+                "Could not open the certificate file"
+            );
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+
+import { PDFDocument, PDFName } from "pdf-lib";
+import { createP12Signer, signPdf } from "../pades-signer";
+import { appendFieldsToSignedPdf, flattenFieldsToPdf } from "../pdf-flattener";
+import { SIGNATURE_STATUSES, verifyPdfSignatures } from "../signature-verifier";
+import { SIGNATURE_PNG, createIdentity, createP12, createPdf } from "./signing-fixtures";
+
+const fields = [
+    { id: "name-1", type: "name", page: 1, xPercent: 30, yPercent: 20, value: "Alex Doe" },
+    {
+        id: "sig-1",
+        type: "signature",
+        page: 1,
+        xPercent: 50,
+        yPercent: 60,
+        signatureData: SIGNATURE_PNG,
+        fullName: "Alex Doe"
+    }
+];
+
+const readAnnotations = async pdfBytes => {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const annots = pdfDoc.getPages()[0].node.Annots();
+    return annots.asArray().map(ref => pdfDoc.context.lookup(ref));
+};
+
+/**
+ * A one-page PDF with a text field and a checkbox
+ */
+const createFormPdf = async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    const form = pdfDoc.getForm();
+    const code = form.createTextField("code");
+    code.setMaxLength(4);
+    code.addToPage(page, { x: 50, y: 700, width: 200, height: 20 });
+    form.createTextField("name").addToPage(page, { x: 50, y: 650, width: 200, height: 20 });
+    form.createCheckBox("agree").addToPage(page, { x: 50, y: 600, width: 12, height: 12 });
+    return pdfDoc.save();
+};
+
+describe("pdf-flattener", () => {
+    describe("flattenFieldsToPdf", () => {
+        it("fills detected form fields, within their length and font limits", async () => {
+            const formFields = [
+                { id: "form-1", type: "text", page: 1, formFieldName: "code", value: "ABCDEF" },
+                { id: "form-2", type: "text", page: 1, formFieldName: "name", value: "Zoë 😀" },
+                { id: "form-3", type: "checkbox", page: 1, formFieldName: "agree", checked: true }
+            ];
+            const pdfDoc = await PDFDocument.load(await flattenFieldsToPdf(await createFormPdf(), formFields));
+            const form = pdfDoc.getForm();
+
+            expect(form.getTextField("code").getText()).toBe("ABCD");
+            expect(form.getTextField("name").getText()).toBe("Zoë ");
+            expect(form.getCheckBox("agree").isChecked()).toBe(true);
+        });
+    });
+
+    describe("appendFieldsToSignedPdf", () => {
+        let signer;
+
+        beforeAll(() => {
+            signer = createP12Signer(createP12(createIdentity("Alex Doe"), "secret"), "secret");
+        });
+
+        it.each([false, true])("keeps the existing signature intact (object streams: %s)", async useObjectStreams => {
+            const signed = await signPdf(await createPdf({ useObjectStreams }), signer);
+            const updated = await appendFieldsToSignedPdf(signed, fields);
+
+            expect(updated.subarray(0, signed.length)).toEqual(signed);
+            const [result] = await verifyPdfSignatures(updated);
+            expect(result.status).toBe(SIGNATURE_STATUSES.MODIFIED);
+        });
+
+        it("adds a locked annotation with an appearance for each field", async () => {
+            const signed = await signPdf(await createPdf(), signer);
+            const annotations = await readAnnotations(await appendFieldsToSignedPdf(signed, fields));
+            const added = annotations.filter(annotation => annotation.get(PDFName.of("NM")));
+
+            expect(added.map(annotation => annotation.get(PDFName.of("Subtype")).toString())).toEqual([
+                "/FreeText",
+                "/Stamp"
+            ]);
+            added.forEach(annotation => {
+                expect(annotation.get(PDFName.of("F")).asNumber()).toBe(196);
+                expect(annotation.get(PDFName.of("AP"))).toBeDefined();
+            });
+            expect(added[0].get(PDFName.of("Contents")).decodeText()).toBe("Alex Doe");
+        });
+
+        it("lets the updated document be counter-signed", async () => {
+            const signed = await signPdf(await createPdf(), signer);
+            const counterSigned = await signPdf(await appendFieldsToSignedPdf(signed, fields), signer);
+            const results = await verifyPdfSignatures(counterSigned);
+
+            expect(results.map(result => result.status)).toEqual([
+                SIGNATURE_STATUSES.MODIFIED,
+                SIGNATURE_STATUSES.VALID
+            ]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import {
+    boxFromViewArray,
+    displayToPdfPoint,
+    getDisplaySize,
+    getFieldBoxSize,
+    getFieldPlacement,
+    normalizeRotation,
+    offsetInRotatedFrame,
+    pdfToDisplayPoint
+} from "../pdf-geometry";
+
+// US Letter with an offset CropBox, so origin handling is exercised too
+const box = { x: 10, y: 20, width: 612, height: 792 };
+
+describe("pdf-geometry", () => {
+    describe("normalizeRotation", () => {
+        it("maps any multiple of 90 degrees into 0..270", () => {
+            expect(normalizeRotation(undefined)).toBe(0);
+            expect(normalizeRotation(450)).toBe(90);
+            expect(normalizeRotation(-90)).toBe(270);
+            expect(normalizeRotation(-540)).toBe(180);
+        });
+    });
+
+    describe("boxFromViewArray", () => {
+        it("normalizes reversed corners", () => {
+            expect(boxFromViewArray([622, 812, 10, 20])).toEqual(box);
+        });
+    });
+
+    describe("getDisplaySize", () => {
+        it("swaps width and height on sideways pages", () => {
+            expect(getDisplaySize(box, 0)).toEqual({ width: 612, height: 792 });
+            expect(getDisplaySize(box, 90)).toEqual({ width: 792, height: 612 });
+            expect(getDisplaySize(box, 180)).toEqual({ width: 612, height: 792 });
+            expect(getDisplaySize(box, 270)).toEqual({ width: 792, height: 612 });
+        });
+    });
+
+    describe("displayToPdfPoint", () => {
+        it("maps the displayed top-left corner for every rotation", () => {
+            expect(displayToPdfPoint(box, 0, 0, 0)).toEqual({ x: 10, y: 812 });
+            expect(displayToPdfPoint(box, 90, 0, 0)).toEqual({ x: 10, y: 20 });
+            expect(displayToPdfPoint(box, 180, 0, 0)).toEqual({ x: 622, y: 20 });
+            expect(displayToPdfPoint(box, 270, 0, 0)).toEqual({ x: 622, y: 812 });
+        });
+
+        it.each([0, 90, 180, 270])("is inverted by pdfToDisplayPoint at %i degrees", rotation => {
+            const { x, y } = displayToPdfPoint(box, rotation, 0.25, 0.6);
+            const { u, v } = pdfToDisplayPoint(box, rotation, x, y);
+
+            expect(u).toBeCloseTo(0.25);
+            expect(v).toBeCloseTo(0.6);
+        });
+    });
+
+    describe("offsetInRotatedFrame", () => {
+        it("moves along the upright axes of the displayed page", () => {
+            const point = { x: 100, y: 100 };
+
+            expect(offsetInRotatedFrame(point, 0, 10, 5)).toEqual({ x: 110, y: 105 });
+            expect(offsetInRotatedFrame(point, 90, 10, 5)).toEqual({ x: 95, y: 110 });
+            expect(offsetInRotatedFrame(point, 180, 10, 5)).toEqual({ x: 90, y: 95 });
+            expect(offsetInRotatedFrame(point, 270, 10, 5)).toEqual({ x: 105, y: 90 });
+        });
+    });
+
+    describe("getFieldBoxSize", () => {
+        it("uses the type default unless the field has its own size", () => {
+            expect(getFieldBoxSize({ type: "signature" })).toEqual({ width: 150, height: 40 });
+            expect(getFieldBoxSize({ type: "date", width: 90, height: 20 })).toEqual({ width: 90, height: 20 });
+            expect(getFieldBoxSize({ type: "unknown" })).toEqual({ width: 150, height: 30 });
+        });
+    });
+
+    describe("getFieldPlacement", () => {
+        const field = { type: "signature", xPercent: 50, yPercent: 50 };
+
+        it("centers the field on its stored position on an upright page", () => {
+            const { anchor, rect } = getFieldPlacement(field, box, 0);
+
+            expect(anchor.x).toBeCloseTo(10 + 306 - 75);
+            expect(anchor.y).toBeCloseTo(20 + 396 - 20);
+            expect(rect.width).toBeCloseTo(150);
+            expect(rect.height).toBeCloseTo(40);
+        });
+
+        it.each([90, 270])("swaps the rect axes on a page rotated %i degrees", rotation => {
+            const { rect, width, height } = getFieldPlacement(field, box, rotation);
+
+            expect({ width, height }).toEqual({ width: 150, height: 40 });
+            expect(rect.width).toBeCloseTo(40);
+            expect(rect.height).toBeCloseTo(150);
+        });
+
+        it.each([0, 90, 180, 270])("keeps the rect centered on the field at %i degrees", rotation => {
+            const { rect } = getFieldPlacement({ ...field, xPercent: 20, yPercent: 70 }, box, rotation);
+            const center = pdfToDisplayPoint(box, rotation, rect.x + rect.width / 2, rect.y + rect.height / 2);
+
+            expect(center.u).toBeCloseTo(0.2);
+            expect(center.v).toBeCloseTo(0.7);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+
+import { createP12Signer, signPdf } from "../pades-signer";
+import { SIGNATURE_STATUSES, verifyPdfSignatures } from "../signature-verifier";
+import { createIdentity, createP12, createPdf, createTsaFetch } from "./signing-fixtures";
+
+const TSA_URL = "https://tsa.example.com/";
+
+describe("signature-verifier", () => {
+    let signer;
+    let tsa;
+
+    beforeAll(() => {
+        signer = createP12Signer(createP12(createIdentity("Alex Doe"), "secret"), "secret");
+        tsa = createIdentity("Example TSA", "02");
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    describe("integrity", () => {
+        it("reports a document signed and left as is as valid", async () => {
+            const [result] = await verifyPdfSignatures(await signPdf(await createPdf(), signer));
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.VALID);
+            expect(result.coversWholeDocument).toBe(true);
+        });
+
+        it("reports a change inside the signed byte range as invalid", async () => {
+            const signed = await signPdf(await createPdf(), signer);
+            const tampered = signed.slice();
+            // "%PDF-1.7" becomes "%PDF-1.6"
+            tampered[7] -= 1;
+            const [result] = await verifyPdfSignatures(tampered);
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.INVALID);
+            expect(result.message).toBe("The signed content has been altered");
+        });
+
+        it("reports a changed signature value as invalid", async () => {
+            const signed = await signPdf(await createPdf(), signer);
+            // The RSA signature value ends the CMS, just before the zero padding of /Contents
+            const text = new TextDecoder("latin1").decode(signed);
+            const contentsEnd = Number(/\/ByteRange \[0 \d+ (\d+)/.exec(text)[1]);
+            const lastDigit = text.slice(0, contentsEnd - 1).search(/0*$/) - 1;
+            const tampered = signed.slice();
+            tampered[lastDigit] = text[lastDigit] === "1" ? 0x32 : 0x31;
+            const [result] = await verifyPdfSignatures(tampered);
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.INVALID);
+            expect(result.message).toBe("The signature does not match the signer certificate");
+        });
+
+        it("reports bytes appended after signing as modified", async () => {
+            const signed = await signPdf(await createPdf(), signer);
+            const appended = new Uint8Array([...signed, ...new TextEncoder().encode("% appended\n")]);
+            const [result] = await verifyPdfSignatures(appended);
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.MODIFIED);
+            expect(result.coversWholeDocument).toBe(false);
+        });
+    });
+
+    describe("timestamps", () => {
+        it("reports the time of a timestamp token that verifies", async () => {
+            global.fetch = createTsaFetch(tsa);
+            const signed = await signPdf(await createPdf(), signer, { timestampAuthorityUrl: TSA_URL });
+            const [result] = await verifyPdfSignatures(signed);
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.VALID);
+            expect(result.timestampTime).toEqual(new Date("2024-05-01T10:00:00Z"));
+        });
+
+        it("ignores a timestamp token whose TSTInfo was changed after the TSA signed it", async () => {
+            global.fetch = createTsaFetch(tsa, { tamper: { time: new Date("2020-01-01T00:00:00Z") } });
+            const signingTime = new Date("2024-06-01T12:00:00Z");
+            const signed = await signPdf(await createPdf(), signer, { timestampAuthorityUrl: TSA_URL, signingTime });
+            const [result] = await verifyPdfSignatures(signed);
+
+            expect(result.status).toBe(SIGNATURE_STATUSES.VALID);
+            expect(result.timestampTime).toBeNull();
+            expect(result.signingTime).toEqual(signingTime);
+            expect(result.message).toContain("timestamp could not be verified");
+        });
+    });
+});
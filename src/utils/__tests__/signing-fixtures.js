@@ -0,0 +1,150 @@
+/**
+ * Signing Fixtures
+ *
+ * Keys, certificates, PDFs and RFC 3161 timestamp authority replies for the
+ * signing and verification specs. Keys come from Node's crypto, which is much
+ * faster than generating them with forge.
+ */
+
+import { generateKeyPairSync } from "crypto";
+import forge from "node-forge";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+
+const { asn1, pki } = forge;
+
+const OIDS = {
+    sha256: "2.16.840.1.101.3.4.2.1",
+    rsaEncryption: "1.2.840.113549.1.1.1",
+    signedData: "1.2.840.113549.1.7.2",
+    tstInfo: "1.2.840.113549.1.9.16.1.4",
+    contentType: "1.2.840.113549.1.9.3",
+    messageDigest: "1.2.840.113549.1.9.4",
+    policy: "1.2.3.4.1"
+};
+
+export const toBinaryString = bytes => forge.util.binary.raw.encode(bytes);
+export const fromBinaryString = binary => forge.util.binary.raw.decode(binary);
+
+const sequence = items => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const set = items => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, items);
+const integer = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, binary);
+const oid = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+const octetString = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, binary);
+const explicit = (tag, items) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, items);
+const algorithm = value => sequence([oid(value), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "")]);
+const toDer = node => asn1.toDer(node).getBytes();
+const sha256 = binary => forge.md.sha256.create().update(binary).digest().getBytes();
+
+/**
+ * RSA key pair and self-signed certificate for the given common name
+ */
+export const createIdentity = (commonName, serialNumber = "01") => {
+    const { privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const key = pki.privateKeyFromPem(privateKey.export({ type: "pkcs1", format: "pem" }));
+
+    const certificate = pki.createCertificate();
+    certificate.publicKey = pki.setRsaPublicKey(key.n, key.e);
+    certificate.serialNumber = serialNumber;
+    certificate.validity.notBefore = new Date("2024-01-01T00:00:00Z");
+    certificate.validity.notAfter = new Date("2034-01-01T00:00:00Z");
+    certificate.setSubject([{ name: "commonName", value: commonName }]);
+    certificate.setIssuer([{ name: "commonName", value: commonName }]);
+    certificate.sign(key, forge.md.sha256.create());
+
+    return { key, certificate };
+};
+
+/**
+ * PKCS#12 file holding an identity, as createP12Signer expects it
+ */
+export const createP12 = ({ key, certificate }, password) =>
+    fromBinaryString(toDer(forge.pkcs12.toPkcs12Asn1(key, [certificate], password, { algorithm: "3des" })));
+
+// 1x1 PNG data URL, as the signature pad produces
+export const SIGNATURE_PNG =
+    "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+/**
+ * A small PDF with some text on each page
+ */
+export const createPdf = async ({ pageCount = 1, useObjectStreams = false } = {}) => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    for (let index = 0; index < pageCount; index++) {
+        pdfDoc.addPage([612, 792]).drawText(`Page ${index + 1}`, { x: 50, y: 700, size: 12, font });
+    }
+    return pdfDoc.save({ useObjectStreams });
+};
+
+/**
+ * RFC 3161 timestamp token from `tsa` over a SHA-256 imprint.
+ * `tamper` edits the TSTInfo after the TSA signed it.
+ */
+export const createTimestampToken = (tsa, { imprint, nonce, time, tamper = null }) => {
+    const createTstInfo = genTime =>
+        toDer(
+            sequence([
+                integer("\x01"),
+                oid(OIDS.policy),
+                sequence([algorithm(OIDS.sha256), octetString(imprint)]),
+                integer("\x42"),
+                asn1.create(
+                    asn1.Class.UNIVERSAL,
+                    asn1.Type.GENERALIZEDTIME,
+                    false,
+                    asn1.dateToGeneralizedTime(genTime)
+                ),
+                integer(nonce)
+            ])
+        );
+
+    const signedTstInfo = createTstInfo(time);
+    const signedAttributes = [
+        sequence([oid(OIDS.contentType), set([oid(OIDS.tstInfo)])]),
+        sequence([oid(OIDS.messageDigest), set([octetString(sha256(signedTstInfo))])])
+    ];
+    const md = forge.md.sha256.create().update(toDer(set(signedAttributes)));
+    const signature = tsa.key.sign(md);
+
+    const certificate = pki.certificateToAsn1(tsa.certificate);
+    const tbs = certificate.value[0];
+    const signerInfo = sequence([
+        integer("\x01"),
+        sequence([tbs.value[3], tbs.value[1]]),
+        algorithm(OIDS.sha256),
+        explicit(0, signedAttributes),
+        algorithm(OIDS.rsaEncryption),
+        octetString(signature)
+    ]);
+
+    const content = tamper ? createTstInfo(tamper.time) : signedTstInfo;
+    return sequence([
+        oid(OIDS.signedData),
+        explicit(0, [
+            sequence([
+                integer("\x03"),
+                set([algorithm(OIDS.sha256)]),
+                sequence([oid(OIDS.tstInfo), explicit(0, [octetString(content)])]),
+                explicit(0, [certificate]),
+                set([signerInfo])
+            ])
+        ])
+    ]);
+};
+
+/**
+ * A fetch stand-in for a timestamp authority: answers each TimeStampReq with
+ * a granted TimeStampResp from `tsa`, passing `tokenOptions` on to the token
+ */
+export const createTsaFetch = (tsa, tokenOptions = {}) =>
+    jest.fn((url, { body }) => {
+        const [, messageImprint, nonce] = asn1.fromDer(toBinaryString(body)).value;
+        const token = createTimestampToken(tsa, {
+            imprint: messageImprint.value[1].value,
+            nonce: nonce.value,
+            time: new Date("2024-05-01T10:00:00Z"),
+            ...tokenOptions
+        });
+        const response = sequence([sequence([integer("\x00")]), token]);
+        return Promise.resolve(new Response(fromBinaryString(toDer(response)), { status: 200 }));
+    });
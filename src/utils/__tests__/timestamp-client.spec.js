@@ -0,0 +1,145 @@
+import forge from "node-forge";
+import { createTimestampRequest, parseTimestampResponse, readTstInfo } from "../timestamp-client";
+
+const { asn1 } = forge;
+
+const OIDS = {
+    sha256: "2.16.840.1.101.3.4.2.1",
+    signedData: "1.2.840.113549.1.7.2",
+    tstInfo: "1.2.840.113549.1.9.16.1.4",
+    data: "1.2.840.113549.1.7.1",
+    policy: "1.2.3.4.1"
+};
+
+const DIGEST = Uint8Array.from({ length: 32 }, (_, index) => index + 1);
+const NONCE = "\x01\x23\x45\x67\x89\xab\xcd\xef";
+const GEN_TIME = new Date("2024-05-01T10:00:00Z");
+
+const toBinaryString = bytes => forge.util.binary.raw.encode(bytes);
+const fromBinaryString = binary => forge.util.binary.raw.decode(binary);
+
+const sequence = items => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const integer = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, binary);
+const oid = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+const octetString = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, binary);
+const explicit = item => asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [item]);
+
+/**
+ * TSTInfo for DIGEST and NONCE, with the digest or nonce swapped out or an accuracy added
+ */
+const createTstInfo = ({ digest = DIGEST, nonce = NONCE, accuracy = false } = {}) =>
+    sequence([
+        integer("\x01"),
+        oid(OIDS.policy),
+        sequence([
+            sequence([oid(OIDS.sha256), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "")]),
+            octetString(toBinaryString(digest))
+        ]),
+        integer("\x00\x9f\x01"),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(GEN_TIME)),
+        ...(accuracy ? [sequence([integer("\x01")])] : []),
+        ...(nonce ? [integer(nonce)] : [])
+    ]);
+
+/**
+ * Timestamp token (ContentInfo with SignedData) around a TSTInfo; the
+ * signature itself is left out since the client doesn't verify it
+ */
+const createToken = (tstInfo, contentType = OIDS.tstInfo) =>
+    sequence([
+        oid(OIDS.signedData),
+        explicit(
+            sequence([
+                integer("\x03"),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, []),
+                sequence([oid(contentType), explicit(octetString(asn1.toDer(tstInfo).getBytes()))])
+            ])
+        )
+    ]);
+
+const createResponse = (status, token, freeText = []) => {
+    const statusInfo = sequence([
+        integer(String.fromCharCode(status)),
+        ...(freeText.length > 0
+            ? [sequence(freeText.map(text => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, text)))]
+            : [])
+    ]);
+    return fromBinaryString(asn1.toDer(sequence([statusInfo, ...(token ? [token] : [])])).getBytes());
+};
+
+describe("timestamp-client", () => {
+    describe("createTimestampRequest", () => {
+        it("encodes the digest, nonce and certReq", () => {
+            const { request, nonce } = createTimestampRequest(DIGEST, NONCE);
+            const [version, messageImprint, requestNonce, certReq] = asn1.fromDer(toBinaryString(request)).value;
+
+            expect(nonce).toBe("0123456789abcdef");
+            expect(version.value).toBe("\x01");
+            expect(asn1.derToOid(messageImprint.value[0].value[0].value)).toBe(OIDS.sha256);
+            expect(messageImprint.value[1].value).toBe(toBinaryString(DIGEST));
+            expect(requestNonce.value).toBe(NONCE);
+            expect(certReq.value).toBe("\xff");
+        });
+    });
+
+    describe("readTstInfo", () => {
+        it("reads the signed timestamp content", () => {
+            const tstInfo = readTstInfo(createToken(createTstInfo({ accuracy: true })));
+
+            expect(tstInfo).toEqual({
+                policy: OIDS.policy,
+                digestAlgorithm: OIDS.sha256,
+                digest: toBinaryString(DIGEST),
+                serialNumber: "9f01",
+                time: GEN_TIME,
+                nonce: "0123456789abcdef"
+            });
+        });
+
+        it("rejects tokens that don't carry a TSTInfo", () => {
+            expect(() => readTstInfo(createToken(createTstInfo(), OIDS.data))).toThrow("unexpected content type");
+        });
+    });
+
+    describe("parseTimestampResponse", () => {
+        const { nonce } = createTimestampRequest(DIGEST, NONCE);
+
+        it("returns the token of a granted response", () => {
+            const token = createToken(createTstInfo());
+            const result = parseTimestampResponse(createResponse(0, token), DIGEST, nonce);
+
+            expect(result.time).toEqual(GEN_TIME);
+            expect(result.serialNumber).toBe("9f01");
+            expect(result.policy).toBe(OIDS.policy);
+            expect(toBinaryString(result.token)).toBe(asn1.toDer(token).getBytes());
+        });
+
+        it("accepts granted-with-modifications responses", () => {
+            expect(() =>
+                parseTimestampResponse(createResponse(1, createToken(createTstInfo())), DIGEST, nonce)
+            ).not.toThrow();
+        });
+
+        it("reports rejected requests with the TSA's status text", () => {
+            expect(() =>
+                parseTimestampResponse(createResponse(2, null, ["bad request", "unsupported policy"]), DIGEST, nonce)
+            ).toThrow("Timestamp request was rejected (status 2: bad request; unsupported policy)");
+        });
+
+        it("rejects tokens for another digest or nonce", () => {
+            const otherDigest = createResponse(0, createToken(createTstInfo({ digest: new Uint8Array(32) })));
+            const otherNonce = createResponse(0, createToken(createTstInfo({ nonce: "\x05" })));
+            const noNonce = createResponse(0, createToken(createTstInfo({ nonce: null })));
+
+            expect(() => parseTimestampResponse(otherDigest, DIGEST, nonce)).toThrow(
+                "does not match the requested document hash"
+            );
+            expect(() => parseTimestampResponse(otherNonce, DIGEST, nonce)).toThrow("does not match the request nonce");
+            expect(() => parseTimestampResponse(noNonce, DIGEST, nonce)).toThrow("does not match the request nonce");
+        });
+
+        it("reports responses that are not DER", () => {
+            expect(() => parseTimestampResponse(new Uint8Array([1, 2, 3]), DIGEST, nonce)).toThrow("invalid response");
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import { exportFieldsToXfdf, importFieldsFromXfdf } from "../xfdf";
+
+const SIGNATURE_PNG = "data:image/png;base64,iVBORw0KGgo=";
+
+const pages = [
+    { page: 1, rotation: 0, cropBox: { x: 0, y: 0, width: 612, height: 792 } },
+    { page: 2, rotation: 90, cropBox: { x: 0, y: 0, width: 612, height: 792 } }
+];
+
+const fields = [
+    { id: "f1", type: "name", page: 1, xPercent: 30, yPercent: 20, value: "Alex <Doe> & Co" },
+    {
+        id: "f2",
+        type: "signature",
+        page: 2,
+        xPercent: 50,
+        yPercent: 40,
+        signatureData: SIGNATURE_PNG,
+        fullName: "Alex Doe"
+    },
+    { id: "f3", type: "date", page: 1, xPercent: 70, yPercent: 90, value: "2024-05-01", width: 90, height: 20 }
+];
+
+describe("xfdf", () => {
+    describe("exportFieldsToXfdf", () => {
+        it("writes free text and stamp annotations", () => {
+            const xml = exportFieldsToXfdf(fields, pages, {
+                fileName: "a.pdf",
+                date: new Date("2024-05-01T10:00:00Z")
+            });
+
+            expect(xml).toContain('<f href="a.pdf"/>');
+            expect(xml).toContain('<freetext page="0" rect="108.6,621.6,258.6,645.6" name="f1" subject="name"');
+            expect(xml).toContain('date="D:20240501100000Z"');
+            expect(xml).toContain("<contents>Alex &lt;Doe&gt; &amp; Co</contents>");
+            expect(xml).toContain('<stamp page="1" rect=');
+            expect(xml).toContain('rotation="90" title="Alex Doe" icon="Draft">');
+            expect(xml).toContain(`<imagedata>${SIGNATURE_PNG}</imagedata>`);
+        });
+
+        it("leaves out form field values and fields without page geometry", () => {
+            const xml = exportFieldsToXfdf(
+                [
+                    { id: "form", type: "text", page: 1, xPercent: 5, yPercent: 5, value: "x", formFieldName: "city" },
+                    { id: "orphan", type: "name", page: 3, xPercent: 5, yPercent: 5 }
+                ],
+                pages
+            );
+
+            expect(xml).not.toContain("<freetext");
+            expect(xml).toContain("<annots>\n</annots>");
+        });
+    });
+
+    describe("importFieldsFromXfdf", () => {
+        it("restores exported fields", () => {
+            const { fields: imported, skipped } = importFieldsFromXfdf(exportFieldsToXfdf(fields, pages), pages);
+
+            expect(skipped).toBe(0);
+            expect(imported).toHaveLength(3);
+            expect(imported[0]).toMatchObject({
+                id: "f1",
+                type: "name",
+                page: 1,
+                value: "Alex <Doe> & Co",
+                width: 150,
+                height: 24
+            });
+            expect(imported[1]).toMatchObject({
+                id: "f2",
+                type: "signature",
+                page: 2,
+                signatureData: SIGNATURE_PNG,
+                fullName: "Alex Doe"
+            });
+            expect(imported[2]).toMatchObject({ id: "f3", type: "date", width: 90, height: 20 });
+
+            imported.forEach((field, index) => {
+                expect(field.xPercent).toBeCloseTo(fields[index].xPercent);
+                expect(field.yPercent).toBeCloseTo(fields[index].yPercent);
+            });
+        });
+
+        it("keeps upright field sizes on rotated pages", () => {
+            const { fields: imported } = importFieldsFromXfdf(exportFieldsToXfdf([fields[1]], pages), pages);
+
+            expect(imported[0]).toMatchObject({ width: 150, height: 40 });
+        });
+
+        it("maps annotations from other tools by element and skips the rest", () => {
+            const xml = [
+                '<xfdf xmlns="http://ns.adobe.com/xfdf/">',
+                "<annots>",
+                '<freetext page="0" rect="100,700,250,724" name="a"><contents>Hi</contents></freetext>',
+                '<stamp page="0" rect="100,100,250,140" name="b"/>',
+                '<square page="0" rect="0,0,10,10" name="c"/>',
+                '<freetext page="5" rect="0,0,10,10" name="d"/>',
+                '<freetext page="0" rect="oops" name="e"/>',
+                "</annots>",
+                "</xfdf>"
+            ].join("");
+            const { fields: imported, skipped } = importFieldsFromXfdf(xml, pages);
+
+            expect(skipped).toBe(3);
+            expect(imported.map(field => [field.id, field.type])).toEqual([
+                ["a", "name"],
+                ["b", "signature"]
+            ]);
+            expect(imported[0].value).toBe("Hi");
+            expect(imported[1]).not.toHaveProperty("signatureData");
+        });
+
+        it("rejects documents that are not XFDF", () => {
+            expect(() => importFieldsFromXfdf("<fdf/>", pages)).toThrow("Not an XFDF document");
+        });
+    });
+});
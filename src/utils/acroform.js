@@ -0,0 +1,124 @@
+/**
+ * AcroForm Fields
+ *
+ * Detects the fillable fields a PDF already defines, so they can be shown
+ * as placeholders in the overlay instead of being hidden with the annotation
+ * layer. Text fields, checkboxes and signature fields are supported; radio
+ * buttons, choice lists, push buttons and read-only fields are left as they
+ * are. Signature fields are reported whether or not they are signed.
+ *
+ * Detected fields use the widget's field model with two additions:
+ * `formFieldName` (the fully qualified field name, used to fill the form at
+ * finalize) and `checked` for checkboxes. Ids are derived from the widget
+ * annotation reference, so detecting the same document again yields the
+ * same ids.
+ */
+
+import { boxFromViewArray, normalizeRotation, pdfToDisplayPoint } from "./pdf-geometry";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const roundPoints = value => Math.round(value * 100) / 100;
+
+const clampPercent = value => Math.min(100, Math.max(0, value * 100));
+
+/**
+ * Map a pdf.js widget annotation to a widget field type, or null when unsupported
+ */
+const getFormFieldType = annotation => {
+    if (annotation.readOnly || annotation.hidden) return null;
+
+    switch (annotation.fieldType) {
+        case "Tx":
+            return "text";
+        case "Btn":
+            return annotation.checkBox ? "checkbox" : null;
+        case "Sig":
+            // pdf.js doesn't report whether a signature field is signed; the signature verifier does
+            return "signature";
+        default:
+            return null;
+    }
+};
+
+/**
+ * Convert a widget annotation into a placed field on its page
+ */
+const toFormField = (annotation, type, pageNumber, view, rotation) => {
+    const cropBox = boxFromViewArray(view);
+    const rect = boxFromViewArray(annotation.rect);
+    const center = pdfToDisplayPoint(cropBox, rotation, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    const isSideways = rotation === 90 || rotation === 270;
+
+    const field = {
+        id: `form-${annotation.id}`,
+        type,
+        page: pageNumber,
+        xPercent: clampPercent(center.u),
+        yPercent: clampPercent(center.v),
+        width: roundPoints(isSideways ? rect.height : rect.width),
+        height: roundPoints(isSideways ? rect.width : rect.height),
+        formFieldName: annotation.fieldName
+    };
+
+    if (type === "text") {
+        field.value = typeof annotation.fieldValue === "string" ? annotation.fieldValue : "";
+        if (annotation.maxLen) field.maxLength = annotation.maxLen;
+    }
+    if (type === "checkbox") {
+        field.checked =
+            Boolean(annotation.fieldValue) &&
+            annotation.fieldValue !== "Off" &&
+            annotation.fieldValue === annotation.exportValue;
+    }
+
+    return field;
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Detect the AcroForm fields of a pdf.js document.
+ * Only pages that hold form fields are read, so documents without a form
+ * cost a single call.
+ */
+export const detectFormFields = async pdfDocument => {
+    const fieldObjects = await pdfDocument.getFieldObjects();
+    if (!fieldObjects) return [];
+
+    const pageIndexes = new Set();
+    Object.values(fieldObjects).forEach(widgets =>
+        widgets.forEach(widget => {
+            if (Number.isInteger(widget.page) && widget.page >= 0) pageIndexes.add(widget.page);
+        })
+    );
+
+    const fields = [];
+    for (const pageIndex of [...pageIndexes].sort((a, b) => a - b)) {
+        const page = await pdfDocument.getPage(pageIndex + 1);
+        const annotations = await page.getAnnotations();
+        const rotation = normalizeRotation(page.rotate);
+
+        annotations
+            // Zero-area widgets (e.g. invisible signatures) have nothing to show
+            .filter(
+                annotation =>
+                    annotation.subtype === "Widget" &&
+                    annotation.fieldName &&
+                    annotation.rect[2] !== annotation.rect[0] &&
+                    annotation.rect[3] !== annotation.rect[1]
+            )
+            .forEach(annotation => {
+                const type = getFormFieldType(annotation);
+                if (type) {
+                    fields.push(toFormField(annotation, type, pageIndex + 1, page.view, rotation));
+                }
+            });
+    }
+
+    return fields;
+};
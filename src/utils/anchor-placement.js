@@ -0,0 +1,172 @@
+/**
+ * Anchor Placement
+ *
+ * Places fields automatically where anchor text appears in the document,
+ * e.g. "{{sig_1}}" tags, a "Signature:" label or a line of underscores.
+ * Anchors are searched in the pdf.js text content of every page; a match
+ * may span several text items on the same line.
+ *
+ * Each rule is { anchorText, fieldType, offsetX, offsetY, isRegex }. The
+ * field's top-left corner goes to the anchor's top-left corner, shifted by
+ * offsetX points to the right and offsetY points down on the displayed page.
+ * Every occurrence of an anchor gets a field.
+ */
+
+import {
+    boxFromViewArray,
+    getDisplaySize,
+    getFieldBoxSize,
+    normalizeRotation,
+    pdfToDisplayPoint
+} from "./pdf-geometry";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// Prefix of the ids of fields placed from anchors
+export const ANCHOR_FIELD_ID_PREFIX = "anchor-";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const clampPercent = value => Math.min(100, Math.max(0, value));
+
+/**
+ * Escape a literal anchor for use in a regular expression
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build the global regular expression for a rule (throws on an invalid pattern)
+ */
+const buildAnchorPattern = rule => new RegExp(rule.isRegex ? rule.anchorText : escapeRegExp(rule.anchorText), "g");
+
+/**
+ * Join a page's text items into one string, remembering where each item starts.
+ * Items ending a line are followed by a newline so anchors don't match across lines.
+ */
+const buildPageText = items => {
+    let text = "";
+    const spans = [];
+
+    items.forEach(item => {
+        if (typeof item.str !== "string") return;
+        spans.push({ item, start: text.length, end: text.length + item.str.length });
+        text += item.str + (item.hasEOL ? "\n" : "");
+    });
+
+    return { text, spans };
+};
+
+/**
+ * Position (PDF user space) of a character offset within a text item,
+ * assuming evenly spaced characters along the item's baseline
+ */
+const getPointInItem = (span, offset) => {
+    const { item } = span;
+    const [a, b, , , e, f] = item.transform;
+    const length = Math.max(1, span.end - span.start);
+    const fraction = Math.min(1, Math.max(0, (offset - span.start) / length));
+    const scale = Math.hypot(a, b) || 1;
+
+    // Advance along the text direction (a, b) by the covered part of the item's width
+    return {
+        x: e + (a / scale) * item.width * fraction,
+        y: f + (b / scale) * item.width * fraction
+    };
+};
+
+/**
+ * Bounding box (PDF user space) of the text between two character offsets
+ */
+const getMatchBox = (spans, start, end) => {
+    const first = spans.find(span => start >= span.start && start < span.end);
+    const last = spans.find(span => end - 1 >= span.start && end - 1 < span.end) || first;
+    if (!first) return null;
+
+    const from = getPointInItem(first, start);
+    const to = getPointInItem(last, end);
+    const [, , c, d] = first.item.transform;
+    const fontHeight = first.item.height || Math.hypot(c, d);
+
+    // The box runs from the baseline up by the font height
+    return {
+        x0: Math.min(from.x, to.x),
+        x1: Math.max(from.x, to.x),
+        y0: Math.min(from.y, to.y),
+        y1: Math.max(from.y, to.y) + fontHeight
+    };
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Find the anchors of all rules in a pdf.js document and create a field for
+ * every occurrence. Returns fields in the widget's model (without values)
+ * with ids derived from the rule, page and occurrence, so running again on
+ * the same document yields the same ids.
+ */
+export const placeFieldsFromAnchors = async (pdfDocument, rules) => {
+    const patterns = rules.map(rule => {
+        try {
+            return rule.anchorText ? buildAnchorPattern(rule) : null;
+        } catch (error) {
+            console.warn(`⚠️ Invalid anchor pattern "${rule.anchorText}": ${error.message}`);
+            return null;
+        }
+    });
+    if (!patterns.some(Boolean)) return [];
+
+    const fields = [];
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        const page = await pdfDocument.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        const { text, spans } = buildPageText(items);
+
+        const cropBox = boxFromViewArray(page.view);
+        const rotation = normalizeRotation(page.rotate);
+        const displaySize = getDisplaySize(cropBox, rotation);
+
+        rules.forEach((rule, ruleIndex) => {
+            const pattern = patterns[ruleIndex];
+            if (!pattern) return;
+
+            let occurrence = 0;
+            for (const match of text.matchAll(pattern)) {
+                // Empty matches (e.g. "x*") don't mark a position
+                if (!match[0]) continue;
+
+                const box = getMatchBox(spans, match.index, match.index + match[0].length);
+                if (!box) continue;
+
+                // Top-left corner of the anchor on the displayed page, in points
+                const corners = [
+                    pdfToDisplayPoint(cropBox, rotation, box.x0, box.y0),
+                    pdfToDisplayPoint(cropBox, rotation, box.x1, box.y1)
+                ];
+                const left = Math.min(corners[0].u, corners[1].u) * displaySize.width;
+                const top = Math.min(corners[0].v, corners[1].v) * displaySize.height;
+
+                const fieldType = rule.fieldType || "signature";
+                const { width, height } = getFieldBoxSize({ type: fieldType });
+                const centerX = left + (Number(rule.offsetX) || 0) + width / 2;
+                const centerY = top + (Number(rule.offsetY) || 0) + height / 2;
+
+                fields.push({
+                    id: `${ANCHOR_FIELD_ID_PREFIX}${ruleIndex + 1}-${pageNumber}-${++occurrence}`,
+                    type: fieldType,
+                    page: pageNumber,
+                    xPercent: clampPercent((centerX / displaySize.width) * 100),
+                    yPercent: clampPercent((centerY / displaySize.height) * 100)
+                });
+            }
+        });
+    }
+
+    return fields;
+};
@@ -0,0 +1,345 @@
+/**
+ * Audit Trail
+ *
+ * Certificate of completion for a signed document: the document fingerprint,
+ * every signer with their signature, and the history of what happened to the
+ * document. It is produced as structured JSON and as pages appended to the
+ * signed PDF (before any digital signature, so the signature covers them).
+ *
+ * JSON (version 1):
+ *
+ *   {
+ *     "auditTrailVersion": 1,
+ *     "document": { "name": "lease.pdf", "source": "s3", "key": "s3://contracts/lease.pdf",
+ *                   "versionId": null, "sha256": "e3b0c442…", "pageCount": 3 },
+ *     "signers": [{
+ *       "name": "Jane Doe", "initials": "JD", "signatureType": "typed", "signatureFont": "Segoe Script",
+ *       "signatureImage": "data:image/png;base64,…", "signedAt": "2024-05-02T09:14:07.000Z",
+ *       "fields": [{ "id": "2c5e…", "page": 3 }]
+ *     }],
+ *     "events": [{ "id": "…", "type": "signature-applied", "time": "2024-05-02T09:14:07.000Z", "actor": "Jane Doe", … }],
+ *     "completedAt": "2024-05-02T09:15:30.000Z",
+ *     "signedDocument": { "sha256": "…", "digitallySigned": true, "timestamp": null }
+ *   }
+ *
+ * `document.sha256` is the document the fields were placed on; `signedDocument`
+ * describes the final file and is only in the JSON, since the appended page
+ * can't contain the hash of the file it is part of. Event times come from the
+ * user's clock; a trusted timestamp, when requested, is in `signedDocument`.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { base64ToUint8Array, toEncodableText } from "./pdf-flattener";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const AUDIT_TRAIL_VERSION = 1;
+
+export const AUDIT_EVENT_TYPES = {
+    DOCUMENT_OPENED: "document-opened",
+    FIELD_PLACED: "field-placed",
+    FIELD_REMOVED: "field-removed",
+    SIGNATURE_APPLIED: "signature-applied",
+    DOCUMENT_COMPLETED: "document-completed"
+};
+
+// US Letter, in points
+const PAGE_SIZE = [612, 792];
+const MARGIN = 50;
+const SIGNATURE_BOX = { width: 150, height: 50 };
+
+const COLORS = {
+    text: rgb(0.13, 0.13, 0.13),
+    muted: rgb(0.45, 0.45, 0.45),
+    rule: rgb(0.8, 0.8, 0.8)
+};
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Format an ISO time for the certificate ("2024-05-02 09:14:07 UTC")
+ */
+const formatTime = isoTime => (isoTime ? `${isoTime.replace("T", " ").slice(0, 19)} UTC` : "Unknown");
+
+const capitalize = text => (text ? text.charAt(0).toUpperCase() + text.slice(1) : "");
+
+/**
+ * One line describing an event on the certificate
+ */
+const describeEvent = event => {
+    const by = event.actor ? ` by ${event.actor}` : "";
+    switch (event.type) {
+        case AUDIT_EVENT_TYPES.DOCUMENT_OPENED:
+            return `Document opened${by}`;
+        case AUDIT_EVENT_TYPES.FIELD_PLACED:
+            return `${capitalize(event.fieldType)} field placed on page ${event.page}${by}`;
+        case AUDIT_EVENT_TYPES.FIELD_REMOVED:
+            return `${capitalize(event.fieldType)} field removed from page ${event.page}${by}`;
+        case AUDIT_EVENT_TYPES.SIGNATURE_APPLIED:
+            return `Signed by ${event.signer || event.actor || "unknown signer"} on page ${event.page} (${
+                event.signatureType || "signature"
+            })`;
+        case AUDIT_EVENT_TYPES.DOCUMENT_COMPLETED:
+            return `Document completed${by}`;
+        default:
+            return `${event.type}${by}`;
+    }
+};
+
+/**
+ * Split text into lines that fit the given width
+ */
+const wrapText = (text, font, size, maxWidth) => {
+    const lines = [];
+    let line = "";
+
+    text.split(/\s+/)
+        .filter(Boolean)
+        .forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+    if (line) lines.push(line);
+
+    // Words longer than a line (e.g. hashes) are broken by character
+    return lines.flatMap(current => {
+        if (font.widthOfTextAtSize(current, size) <= maxWidth) return [current];
+        const pieces = [];
+        let piece = "";
+        Array.from(current).forEach(char => {
+            if (font.widthOfTextAtSize(piece + char, size) > maxWidth) {
+                pieces.push(piece);
+                piece = char;
+            } else {
+                piece += char;
+            }
+        });
+        return piece ? [...pieces, piece] : pieces;
+    });
+};
+
+/**
+ * Writes the certificate top to bottom, starting new pages as needed
+ */
+const createPageWriter = (pdfDoc, fonts) => {
+    const contentWidth = PAGE_SIZE[0] - MARGIN * 2;
+    let page = null;
+    let y = 0;
+
+    const addPage = () => {
+        page = pdfDoc.addPage(PAGE_SIZE);
+        y = PAGE_SIZE[1] - MARGIN;
+    };
+
+    const ensureSpace = height => {
+        if (!page || y - height < MARGIN + 20) addPage();
+    };
+
+    const writeText = (text, { font = fonts.regular, size = 10, color = COLORS.text, indent = 0, gap = 4 } = {}) => {
+        wrapText(toEncodableText(String(text), font), font, size, contentWidth - indent).forEach(line => {
+            ensureSpace(size + gap);
+            y -= size;
+            page.drawText(line, { x: MARGIN + indent, y, size, font, color });
+            y -= gap;
+        });
+    };
+
+    const writeHeading = text => {
+        ensureSpace(40);
+        y -= 12;
+        writeText(text, { font: fonts.bold, size: 13 });
+        page.drawLine({
+            start: { x: MARGIN, y },
+            end: { x: PAGE_SIZE[0] - MARGIN, y },
+            thickness: 0.5,
+            color: COLORS.rule
+        });
+        y -= 8;
+    };
+
+    const writeLabel = (label, value) => {
+        writeText(label, { size: 8, color: COLORS.muted, gap: 1 });
+        writeText(value || "-", { size: 10, gap: 6 });
+    };
+
+    // Signature image on the left, details on the right
+    const writeSigner = async signer => {
+        ensureSpace(SIGNATURE_BOX.height + 30);
+        const top = y;
+
+        if (signer.signatureImage) {
+            try {
+                const image = await pdfDoc.embedPng(base64ToUint8Array(signer.signatureImage));
+                const scale = Math.min(SIGNATURE_BOX.width / image.width, SIGNATURE_BOX.height / image.height);
+                page.drawImage(image, {
+                    x: MARGIN,
+                    y: top - SIGNATURE_BOX.height + (SIGNATURE_BOX.height - image.height * scale) / 2,
+                    width: image.width * scale,
+                    height: image.height * scale
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not embed the signature of ${signer.name}: ${error.message}`);
+            }
+        }
+        page.drawRectangle({
+            x: MARGIN,
+            y: top - SIGNATURE_BOX.height,
+            width: SIGNATURE_BOX.width,
+            height: SIGNATURE_BOX.height,
+            borderColor: COLORS.rule,
+            borderWidth: 0.5
+        });
+
+        const indent = SIGNATURE_BOX.width + 16;
+        const pages = [...new Set(signer.fields.map(field => field.page))].sort((a, b) => a - b);
+        writeText(signer.name || "Unknown signer", { font: fonts.bold, size: 11, indent });
+        writeText(`Initials: ${signer.initials || "-"}`, { size: 9, indent, gap: 2 });
+        writeText(
+            `Signature: ${capitalize(signer.signatureType) || "-"}${
+                signer.signatureType === "typed" && signer.signatureFont ? ` (${signer.signatureFont})` : ""
+            }`,
+            { size: 9, indent, gap: 2 }
+        );
+        writeText(`Signed: ${formatTime(signer.signedAt)}`, { size: 9, indent, gap: 2 });
+        writeText(
+            `${signer.fields.length} signature field${signer.fields.length === 1 ? "" : "s"} on page${
+                pages.length === 1 ? "" : "s"
+            } ${pages.join(", ")}`,
+            { size: 9, indent, gap: 2 }
+        );
+
+        y = Math.min(y, top - SIGNATURE_BOX.height) - 14;
+    };
+
+    return { addPage, writeText, writeHeading, writeLabel, writeSigner };
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Create an audit event; `details` carries event-specific data (field type, page, signer, ...)
+ */
+export const createAuditEvent = (type, actor, details = {}) => ({
+    id: crypto.randomUUID(),
+    type,
+    time: new Date().toISOString(),
+    actor: actor || null,
+    ...details
+});
+
+/**
+ * Build the audit trail JSON for the placed fields.
+ * `document` is { name, source, key, versionId, sha256, pageCount }.
+ */
+export const buildAuditTrail = ({ document = {}, fields, events, completedAt = new Date() }) => {
+    const signers = [];
+
+    fields
+        .filter(field => field.type === "signature" && field.signatureData)
+        .forEach(field => {
+            let signer = signers.find(candidate => candidate.name === (field.fullName || null));
+            if (!signer) {
+                signer = {
+                    name: field.fullName || null,
+                    initials: field.initials || null,
+                    signatureType: field.signatureType || null,
+                    signatureFont: field.signatureFont || null,
+                    signatureImage: field.signatureData,
+                    signedAt: null,
+                    fields: []
+                };
+                signers.push(signer);
+            }
+            signer.fields.push({ id: field.id, page: field.page });
+
+            // The signer's time is their last signature on any of their fields
+            events
+                .filter(event => event.type === AUDIT_EVENT_TYPES.SIGNATURE_APPLIED && event.fieldId === field.id)
+                .forEach(event => {
+                    if (!signer.signedAt || event.time > signer.signedAt) signer.signedAt = event.time;
+                });
+        });
+
+    return {
+        auditTrailVersion: AUDIT_TRAIL_VERSION,
+        document: {
+            name: document.name || null,
+            source: document.source || null,
+            key: document.key || null,
+            versionId: document.versionId || null,
+            sha256: document.sha256 || null,
+            pageCount: document.pageCount || null
+        },
+        signers,
+        events: [...events].sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0)),
+        completedAt: completedAt.toISOString()
+    };
+};
+
+/**
+ * Append the certificate of completion to a PDF and return the new bytes
+ */
+export const appendAuditTrailPages = async (pdfBytes, auditTrail) => {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const fonts = {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+    };
+    const firstPageIndex = pdfDoc.getPageCount();
+    const writer = createPageWriter(pdfDoc, fonts);
+    const { document } = auditTrail;
+
+    writer.addPage();
+    writer.writeText("Certificate of Completion", { font: fonts.bold, size: 20, gap: 6 });
+    writer.writeText(`Audit trail for ${document.name || "the signed document"}`, {
+        size: 10,
+        color: COLORS.muted,
+        gap: 10
+    });
+
+    writer.writeHeading("Document");
+    writer.writeLabel("Name", document.name);
+    if (document.key) writer.writeLabel("Location", document.key);
+    if (document.versionId) writer.writeLabel("Version", document.versionId);
+    writer.writeLabel("Pages", document.pageCount ? String(document.pageCount) : null);
+    writer.writeLabel("SHA-256 of the document as prepared", document.sha256);
+    writer.writeLabel("Completed", formatTime(auditTrail.completedAt));
+
+    writer.writeHeading(`Signers (${auditTrail.signers.length})`);
+    if (auditTrail.signers.length === 0) {
+        writer.writeText("No signatures were applied.", { color: COLORS.muted });
+    }
+    for (const signer of auditTrail.signers) {
+        await writer.writeSigner(signer);
+    }
+
+    writer.writeHeading("Event history");
+    auditTrail.events.forEach(event => {
+        writer.writeText(`${formatTime(event.time)}   ${describeEvent(event)}`, { size: 9, gap: 4 });
+    });
+
+    // Footer on every certificate page
+    const pages = pdfDoc.getPages().slice(firstPageIndex);
+    pages.forEach((page, index) => {
+        page.drawText(`Certificate of completion - page ${index + 1} of ${pages.length} - times are UTC`, {
+            x: MARGIN,
+            y: MARGIN / 2,
+            size: 8,
+            font: fonts.regular,
+            color: COLORS.muted
+        });
+    });
+
+    return pdfDoc.save();
+};
@@ -0,0 +1,247 @@
+/**
+ * Azure Blob Storage Downloader
+ *
+ * Downloads blobs from private Azure Storage containers, authenticating with
+ * a SAS token or the storage account's shared key. Exposes the same
+ * downloadFile/testConnection shape as SecureS3Downloader.
+ *
+ * A custom endpoint supports Azurite and other emulators, which use
+ * path-style URLs containing the account name
+ * (http://127.0.0.1:10000/devstoreaccount1).
+ */
+
+import CryptoJS from "crypto-js";
+import { encodeS3Key, encodeRfc3986, fetchWithRetry, readDocumentResponse, getClockOffset } from "./s3-downloader";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const AZURE_STORAGE_VERSION = "2021-08-06";
+
+// Standard headers in the order they appear in the shared key string-to-sign
+const SIGNED_STANDARD_HEADERS = [
+    "Content-Encoding",
+    "Content-Language",
+    "Content-Length",
+    "Content-MD5",
+    "Content-Type",
+    "Date",
+    "If-Modified-Since",
+    "If-Match",
+    "If-None-Match",
+    "If-Unmodified-Since",
+    "Range"
+];
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Resolve the account's base URL (origin plus any path prefix used by emulators)
+ */
+export const resolveAzureEndpoint = config => {
+    const base = config.endpoint
+        ? /^https?:\/\//i.test(config.endpoint)
+            ? config.endpoint
+            : `https://${config.endpoint}`
+        : `https://${config.accountName}.blob.core.windows.net`;
+    const url = new URL(base.replace(/\/+$/, ""));
+
+    return {
+        origin: url.origin,
+        basePath: url.pathname === "/" ? "" : url.pathname
+    };
+};
+
+/**
+ * Build the URL path of a container, or of a blob when blobName is given
+ */
+export const buildBlobPath = (config, containerName, blobName) => {
+    const { basePath } = resolveAzureEndpoint(config);
+    return `${basePath}/${containerName}${blobName ? `/${encodeS3Key(blobName)}` : ""}`;
+};
+
+/**
+ * Build the full URL of a container or blob, appending the SAS token when configured
+ */
+export const buildBlobUrl = (config, containerName, blobName, query = {}) => {
+    const { origin } = resolveAzureEndpoint(config);
+    const queryString = Object.keys(query)
+        .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+        .join("&");
+    const sasToken = config.sasToken ? config.sasToken.replace(/^\?/, "") : "";
+    const search = [queryString, sasToken].filter(Boolean).join("&");
+
+    return `${origin}${buildBlobPath(config, containerName, blobName)}${search ? `?${search}` : ""}`;
+};
+
+/**
+ * Read a header case-insensitively from a plain headers object
+ */
+const getHeader = (headers, name) => {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? String(headers[key]) : "";
+};
+
+/**
+ * Create the x-ms-* and Authorization headers for a Shared Key request
+ */
+export const createSharedKeyHeaders = (config, method, path, query = {}, headers = {}) => {
+    const msHeaders = {
+        "x-ms-date": new Date(Date.now() + getClockOffset()).toUTCString(),
+        "x-ms-version": AZURE_STORAGE_VERSION
+    };
+    const allHeaders = { ...headers, ...msHeaders };
+
+    const standardHeaders = SIGNED_STANDARD_HEADERS.map(name => {
+        const value = getHeader(allHeaders, name);
+        // Since version 2015-02-21 a zero Content-Length is signed as empty
+        return name === "Content-Length" && value === "0" ? "" : value;
+    });
+
+    const canonicalizedHeaders = Object.keys(allHeaders)
+        .filter(name => name.toLowerCase().startsWith("x-ms-"))
+        .map(name => [name.toLowerCase(), String(allHeaders[name]).trim()])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}:${value}\n`)
+        .join("");
+
+    const canonicalizedResource =
+        `/${config.accountName}${path}` +
+        Object.keys(query)
+            .map(name => name.toLowerCase())
+            .sort()
+            .map(name => `\n${name}:${getHeader(query, name)}`)
+            .join("");
+
+    const stringToSign = [method, ...standardHeaders].join("\n") + "\n" + canonicalizedHeaders + canonicalizedResource;
+    const signature = CryptoJS.HmacSHA256(stringToSign, CryptoJS.enc.Base64.parse(config.accountKey)).toString(
+        CryptoJS.enc.Base64
+    );
+
+    return {
+        ...msHeaders,
+        Authorization: `SharedKey ${config.accountName}:${signature}`
+    };
+};
+
+/**
+ * Send a request for a container or blob, signed with the shared key unless a SAS token is used
+ */
+const sendBlobRequest = (
+    config,
+    containerName,
+    blobName,
+    { method = "GET", query = {}, headers = {}, signal } = {}
+) => {
+    const url = buildBlobUrl(config, containerName, blobName, query);
+    const path = buildBlobPath(config, containerName, blobName);
+
+    // Signed per attempt so retries carry a fresh x-ms-date
+    return fetchWithRetry(() => ({
+        url,
+        options: {
+            method,
+            mode: "cors",
+            signal,
+            headers: config.sasToken
+                ? headers
+                : { ...headers, ...createSharedKeyHeaders(config, method, path, query, headers) }
+        }
+    }));
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Download a blob from Azure Blob Storage
+ */
+export const downloadFromAzureBlob = async (
+    config,
+    containerName,
+    blobName,
+    onProgress,
+    { signal, ifNoneMatch } = {}
+) => {
+    if (onProgress) onProgress(5, "Initializing download...", null);
+    if (onProgress) {
+        onProgress(40, config.sasToken ? "Downloading with SAS token..." : "Downloading with shared key...", null);
+    }
+
+    const response = await sendBlobRequest(config, containerName, blobName, {
+        signal,
+        headers: {
+            Accept: "application/pdf,*/*",
+            ...(ifNoneMatch ? { "If-None-Match": ifNoneMatch } : {})
+        }
+    });
+
+    return readDocumentResponse(response, null, config.sasToken ? "Azure SAS" : "Azure shared key", onProgress);
+};
+
+/**
+ * Create a range fetcher for a blob (see s3-range-transport)
+ */
+export const createAzureRangeFetcher =
+    (config, containerName, blobName) =>
+    (start, end, { signal, ifMatch } = {}) =>
+        sendBlobRequest(config, containerName, blobName, {
+            signal,
+            headers: {
+                Range: `bytes=${start}-${end - 1}`,
+                ...(ifMatch ? { "If-Match": ifMatch } : {})
+            }
+        });
+
+/**
+ * Test access to a container by reading its properties
+ */
+export const testAzureConnection = async (config, containerName) => {
+    try {
+        console.info("🧪 Testing Azure Blob Storage connection...");
+
+        const response = await sendBlobRequest(config, containerName, "", {
+            method: "GET",
+            query: { restype: "container" }
+        });
+
+        if (response.ok) {
+            return { success: true, message: `Azure container '${containerName}' accessible` };
+        }
+
+        const code =
+            response.headers.get("x-ms-error-code") ||
+            (await response.text().catch(() => "")).match(/<Code>([^<]+)<\/Code>/)?.[1];
+        throw new Error(`${response.status} ${response.statusText}${code ? ` (${code})` : ""}`);
+    } catch (error) {
+        console.error("❌ Azure connection test failed:", error);
+        return {
+            success: false,
+            message: `Connection test failed: ${error.message}`
+        };
+    }
+};
+
+// Same shape as SecureS3Downloader
+export class SecureAzureBlobDownloader {
+    constructor(accountName, { accountKey = null, sasToken = null, endpoint = null } = {}) {
+        this.config = {
+            accountName,
+            accountKey,
+            sasToken,
+            endpoint
+        };
+    }
+
+    downloadFile(containerName, blobName, onProgress, options = {}) {
+        return downloadFromAzureBlob(this.config, containerName, blobName, onProgress, options);
+    }
+
+    testConnection(containerName) {
+        return testAzureConnection(this.config, containerName);
+    }
+}
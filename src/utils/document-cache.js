@@ -0,0 +1,190 @@
+/**
+ * Document Cache
+ *
+ * Persists downloaded documents in IndexedDB so reopening a record doesn't
+ * download the whole PDF again. Cached entries are revalidated against the
+ * S3 ETag with If-None-Match; a 304 serves the cached bytes. Only when the
+ * browser is offline is the cached copy served without revalidation, marked
+ * isStale so the widget can tell the user. clearDocumentCache empties it.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const DB_NAME = "documentsigner-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "documents";
+const MAX_CACHED_DOCUMENTS = 20;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Build the cache key for a document (bucket/key/versionId)
+ */
+export const buildCacheKey = ({ endpoint, bucketName, fileName, versionId }) =>
+    `${endpoint || "s3"}|${bucketName}/${fileName}@${versionId || "latest"}`;
+
+/**
+ * Build the cache key for a presigned URL (the signature query string is ignored)
+ */
+export const buildPresignedUrlCacheKey = presignedUrl => {
+    const url = new URL(presignedUrl);
+    const versionId = url.searchParams.get("versionId");
+    return `presigned|${url.origin}${url.pathname}@${versionId || "latest"}`;
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+const promisifyRequest = request =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+/**
+ * Convert a cache entry back into the download result shape
+ */
+const toDownloadResult = entry => ({
+    buffer: new Uint8Array(entry.buffer),
+    contentType: entry.contentType,
+    size: entry.size,
+    etag: entry.etag,
+    versionId: entry.versionId || null,
+    presignedUrl: null
+});
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the cache database
+ */
+const openDatabase = () => {
+    if (typeof indexedDB === "undefined") {
+        return Promise.reject(new Error("IndexedDB is not available"));
+    }
+
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: "cacheKey" });
+                store.createIndex("cachedAt", "cachedAt");
+            }
+        };
+        dbPromise = promisifyRequest(request).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+
+    return dbPromise;
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Read a cached document, or null when it's not cached (or the cache is unavailable)
+ */
+export const getCachedDocument = async cacheKey => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME);
+        return (await promisifyRequest(store.get(cacheKey))) || null;
+    } catch (error) {
+        console.warn("Document cache read failed:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Store a document, evicting the oldest entries beyond the cache limit
+ */
+export const putCachedDocument = async entry => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+        await promisifyRequest(store.put({ ...entry, cachedAt: Date.now() }));
+
+        const keysByAge = await promisifyRequest(store.index("cachedAt").getAllKeys());
+        const excess = keysByAge.length - MAX_CACHED_DOCUMENTS;
+        for (let i = 0; i < excess; i++) {
+            store.delete(keysByAge[i]);
+        }
+    } catch (error) {
+        console.warn("Document cache write failed:", error.message);
+    }
+};
+
+/**
+ * Remove a cached document
+ */
+export const deleteCachedDocument = async cacheKey => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+        await promisifyRequest(store.delete(cacheKey));
+    } catch (error) {
+        console.warn("Document cache delete failed:", error.message);
+    }
+};
+
+/**
+ * Remove every cached document
+ */
+export const clearDocumentCache = async () => {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+    await promisifyRequest(store.clear());
+};
+
+/**
+ * Download a document through the cache.
+ *
+ * `download(ifNoneMatch)` must perform the request, sending If-None-Match
+ * when given, and resolve to a download result or `{ notModified: true }`.
+ */
+export const downloadWithCache = async (cacheKey, download) => {
+    const cached = await getCachedDocument(cacheKey);
+
+    let result;
+    try {
+        result = await download(cached?.etag || null);
+    } catch (error) {
+        // Only a browser that is offline gets the cached copy without revalidation
+        if (cached && typeof navigator !== "undefined" && navigator.onLine === false) {
+            return { ...toDownloadResult(cached), fromCache: true, isStale: true };
+        }
+        throw error;
+    }
+
+    if (result.notModified) {
+        if (cached) {
+            return { ...toDownloadResult(cached), fromCache: true, isStale: false };
+        }
+        result = await download(null);
+    }
+
+    // Without a readable ETag the copy could never be revalidated, so it isn't cached
+    if (result.etag) {
+        await putCachedDocument({
+            cacheKey,
+            etag: result.etag,
+            versionId: result.versionId || null,
+            buffer: result.buffer.buffer.slice(
+                result.buffer.byteOffset,
+                result.buffer.byteOffset + result.buffer.byteLength
+            ),
+            contentType: result.contentType,
+            size: result.size
+        });
+    }
+
+    return { ...result, fromCache: false, isCached: Boolean(result.etag) };
+};
@@ -0,0 +1,89 @@
+/**
+ * Document Hash
+ *
+ * SHA-256 fingerprint of the document bytes, stored with the field data so
+ * fields are only signed onto the exact file they were placed on.
+ *
+ * Hashing runs in a Web Worker created from a Blob URL, so large documents
+ * don't block the UI. Where workers are unavailable (e.g. a Content Security
+ * Policy without blob: in worker-src) it falls back to the main thread.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const WORKER_SOURCE = `
+self.onmessage = async (event) => {
+    try {
+        const digest = await crypto.subtle.digest('SHA-256', event.data);
+        self.postMessage({ digest });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
+`;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, "0")).join("");
+
+/**
+ * Digest bytes in a short-lived worker
+ */
+const digestInWorker = bytes =>
+    new Promise((resolve, reject) => {
+        const workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: "text/javascript" }));
+
+        let worker;
+        try {
+            worker = new Worker(workerUrl);
+        } catch (error) {
+            URL.revokeObjectURL(workerUrl);
+            reject(error);
+            return;
+        }
+
+        const cleanUp = () => {
+            worker.terminate();
+            URL.revokeObjectURL(workerUrl);
+        };
+
+        worker.onmessage = ({ data }) => {
+            cleanUp();
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.digest);
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            cleanUp();
+            reject(new Error(event.message || "Hash worker failed to start"));
+        };
+
+        // Copied rather than transferred, so the caller's bytes stay usable
+        worker.postMessage(bytes);
+    });
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * SHA-256 of the document bytes as a lowercase hex string
+ */
+export const hashDocument = async bytes => {
+    let digest;
+    try {
+        digest = await digestInWorker(bytes);
+    } catch (error) {
+        console.warn(`⚠️ Hashing in a worker failed (${error.message}), hashing on the main thread`);
+        digest = await crypto.subtle.digest("SHA-256", bytes);
+    }
+
+    return toHex(digest);
+};
@@ -0,0 +1,246 @@
+/**
+ * Document Sources
+ *
+ * Describes where the widget loads its PDF from. Every source exposes the
+ * same shape so the widget can download, cache and range-load documents
+ * without knowing whether they come from S3, Azure Blob Storage, Google
+ * Cloud Storage, a URL, a Mendix FileDocument or a base64 attribute:
+ *
+ *   {
+ *     type,                                    // one of DOCUMENT_SOURCE_TYPES
+ *     label,                                   // used in logs and error messages
+ *     name,                                    // file name shown to the user
+ *     key,                                     // identifies the document in the field data, or null
+ *     cacheKey,                                // null when the source isn't cacheable
+ *     versionId,                               // pinned S3 version, if any
+ *     download(onProgress, { signal, ifNoneMatch }),
+ *     createRangeFetcher                       // null when ranges aren't supported
+ *   }
+ */
+
+import { downloadFromS3, downloadFromPresignedUrl, fetchWithRetry, readDocumentResponse } from "./s3-downloader";
+import { buildCacheKey, buildPresignedUrlCacheKey } from "./document-cache";
+import { createS3RangeFetcher, createUrlRangeFetcher } from "./s3-range-transport";
+import { base64ToUint8Array } from "./pdf-flattener";
+import { downloadFromAzureBlob, createAzureRangeFetcher, resolveAzureEndpoint } from "./azure-blob-downloader";
+import { downloadFromGcs, createGcsRangeFetcher, GCS_ENDPOINT } from "./gcs-downloader";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const DOCUMENT_SOURCE_TYPES = {
+    S3: "s3",
+    AZURE_BLOB: "azureBlob",
+    GCS: "gcs",
+    URL: "url",
+    FILE_DOCUMENT: "fileDocument",
+    BASE64: "base64"
+};
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Map the widget's AWS config to the config shape used by the S3 utilities
+ */
+export const toS3Config = awsConfig => ({
+    accessKey: awsConfig.accessKeyId,
+    secretKey: awsConfig.secretAccessKey,
+    region: awsConfig.region,
+    sessionToken: awsConfig.sessionToken || null,
+    endpoint: awsConfig.endpoint || null,
+    forcePathStyle: Boolean(awsConfig.forcePathStyle)
+});
+
+/**
+ * File name from the last path segment of a URL
+ */
+const getFileNameFromUrl = url => {
+    try {
+        return decodeURIComponent(new URL(url, window.location.href).pathname.split("/").pop()) || "document.pdf";
+    } catch (error) {
+        return "document.pdf";
+    }
+};
+
+/**
+ * URL without its query string, which may carry signatures or tokens
+ */
+const stripQuery = url => url.split(/[?#]/)[0];
+
+/**
+ * Fetch a document over HTTP(S), sending If-None-Match when revalidating a cached copy
+ */
+const downloadFromUrl = async (url, label, onProgress, { signal, ifNoneMatch, credentials } = {}) => {
+    if (onProgress) onProgress(10, "Downloading document...", null);
+
+    const response = await fetchWithRetry(url, {
+        method: "GET",
+        mode: "cors",
+        credentials,
+        signal,
+        headers: {
+            Accept: "application/pdf,*/*",
+            ...(ifNoneMatch ? { "If-None-Match": ifNoneMatch } : {})
+        }
+    });
+
+    return readDocumentResponse(response, url, label, onProgress);
+};
+
+// ============================================================
+// SOURCE FACTORIES
+// ============================================================
+
+/**
+ * S3 object, loaded with access keys or a backend-issued presigned URL
+ */
+export const createS3DocumentSource = awsConfig => {
+    const isPresigned = awsConfig.mode === "presignedUrl";
+
+    return {
+        type: DOCUMENT_SOURCE_TYPES.S3,
+        label: isPresigned ? "Pre-signed URL" : "Direct",
+        name: awsConfig.fileName || "document.pdf",
+        key: isPresigned ? stripQuery(awsConfig.presignedGetUrl) : `s3://${awsConfig.bucketName}/${awsConfig.fileName}`,
+        config: awsConfig,
+        versionId: awsConfig.versionId || null,
+        cacheKey: isPresigned
+            ? buildPresignedUrlCacheKey(awsConfig.presignedGetUrl)
+            : buildCacheKey({
+                  endpoint: awsConfig.endpoint,
+                  bucketName: awsConfig.bucketName,
+                  fileName: awsConfig.fileName,
+                  versionId: awsConfig.versionId
+              }),
+        download: (onProgress, { signal, ifNoneMatch } = {}) =>
+            isPresigned
+                ? downloadFromPresignedUrl(awsConfig.presignedGetUrl, onProgress, { signal, ifNoneMatch })
+                : downloadFromS3(toS3Config(awsConfig), awsConfig.bucketName, awsConfig.fileName, onProgress, {
+                      signal,
+                      ifNoneMatch,
+                      versionId: awsConfig.versionId
+                  }),
+        createRangeFetcher: () =>
+            isPresigned
+                ? createUrlRangeFetcher(awsConfig.presignedGetUrl)
+                : createS3RangeFetcher(
+                      toS3Config(awsConfig),
+                      awsConfig.bucketName,
+                      awsConfig.fileName,
+                      awsConfig.versionId
+                  )
+    };
+};
+
+/**
+ * Azure Blob Storage blob, authenticated with a SAS token or the account key
+ */
+export const createAzureBlobDocumentSource = azureConfig => {
+    const { origin, basePath } = resolveAzureEndpoint(azureConfig);
+    const key = `${origin}${basePath}/${azureConfig.containerName}/${azureConfig.blobName}`;
+
+    return {
+        type: DOCUMENT_SOURCE_TYPES.AZURE_BLOB,
+        label: azureConfig.sasToken ? "Azure SAS" : "Azure shared key",
+        name: azureConfig.blobName,
+        key,
+        config: azureConfig,
+        versionId: null,
+        cacheKey: `azure|${key}`,
+        download: (onProgress, options = {}) =>
+            downloadFromAzureBlob(azureConfig, azureConfig.containerName, azureConfig.blobName, onProgress, options),
+        createRangeFetcher: () => createAzureRangeFetcher(azureConfig, azureConfig.containerName, azureConfig.blobName)
+    };
+};
+
+/**
+ * Google Cloud Storage object, authenticated with an HMAC interoperability key
+ */
+export const createGcsDocumentSource = gcsConfig => ({
+    type: DOCUMENT_SOURCE_TYPES.GCS,
+    label: "Google Cloud Storage",
+    name: gcsConfig.objectName,
+    key: `gs://${gcsConfig.bucketName}/${gcsConfig.objectName}`,
+    config: gcsConfig,
+    versionId: null,
+    cacheKey: buildCacheKey({
+        endpoint: gcsConfig.endpoint || GCS_ENDPOINT,
+        bucketName: gcsConfig.bucketName,
+        fileName: gcsConfig.objectName
+    }),
+    download: (onProgress, options = {}) =>
+        downloadFromGcs(gcsConfig, gcsConfig.bucketName, gcsConfig.objectName, onProgress, options),
+    createRangeFetcher: () => createGcsRangeFetcher(gcsConfig, gcsConfig.bucketName, gcsConfig.objectName)
+});
+
+/**
+ * Plain HTTP(S) URL, e.g. a REST endpoint serving the PDF (must allow CORS)
+ */
+export const createUrlDocumentSource = url => ({
+    type: DOCUMENT_SOURCE_TYPES.URL,
+    label: "URL",
+    name: getFileNameFromUrl(url),
+    key: url,
+    url,
+    versionId: null,
+    cacheKey: `url|${url}`,
+    download: (onProgress, options = {}) => downloadFromUrl(url, "URL", onProgress, options),
+    createRangeFetcher: () => createUrlRangeFetcher(url)
+});
+
+/**
+ * Mendix FileDocument, served by the runtime's file endpoint with the user's session
+ */
+export const createFileDocumentSource = fileValue => ({
+    type: DOCUMENT_SOURCE_TYPES.FILE_DOCUMENT,
+    label: "File document",
+    name: fileValue.name || "document.pdf",
+    key: fileValue.uri,
+    url: fileValue.uri,
+    versionId: null,
+    // The file URI changes with the document's changedDate, so it identifies the content
+    cacheKey: `file|${fileValue.uri}`,
+    download: (onProgress, options = {}) =>
+        downloadFromUrl(fileValue.uri, "File document", onProgress, {
+            ...options,
+            credentials: "same-origin"
+        }),
+    createRangeFetcher: null
+});
+
+/**
+ * Base64 string attribute (a "data:application/pdf;base64," prefix is allowed)
+ */
+export const createBase64DocumentSource = (base64, name = "document.pdf") => ({
+    type: DOCUMENT_SOURCE_TYPES.BASE64,
+    label: "Base64 attribute",
+    name,
+    key: null,
+    versionId: null,
+    cacheKey: null,
+    download: async onProgress => {
+        if (onProgress) onProgress(40, "Decoding document...", null);
+
+        let buffer;
+        try {
+            buffer = base64ToUint8Array(base64);
+        } catch (error) {
+            throw new Error(`Base64 attribute decode failed: ${error.message}`);
+        }
+
+        if (onProgress) onProgress(100, "Document decoded", null);
+
+        return {
+            buffer,
+            contentType: "application/pdf",
+            size: buffer.byteLength,
+            etag: null,
+            versionId: null,
+            presignedUrl: null
+        };
+    },
+    createRangeFetcher: null
+});
@@ -0,0 +1,371 @@
+/**
+ * Field Data Schema
+ *
+ * Format of the JSON the widget writes to the Field data attribute (and to
+ * the sidecar uploaded next to the signed document). Version 1 envelope:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "document": {
+ *       "source": "s3",                        // document source type
+ *       "key": "s3://contracts/lease.pdf",     // identifies the document within its source
+ *       "versionId": "3HL4kqtJlcpXroDTDmJ",    // S3 version the fields were placed on, or null
+ *       "sha256": "e3b0c442…"                  // SHA-256 (hex) of the document the fields were placed on, or null
+ *     },
+ *     "units": { "position": "percent", "pageSize": "pt", "size": "pt", "pdfRect": "pt" },
+ *     "pages": [{
+ *       "page": 1, "width": 612, "height": 792, "rotation": 0,
+ *       "cropBox": { "x": 0, "y": 0, "width": 612, "height": 792 }
+ *     }],
+ *     "fields": [{
+ *       "id": "2c5e…", "type": "signature", "page": 1,
+ *       "xPercent": 42.5, "yPercent": 80.1,        // field center, percent of the displayed page
+ *       "width": 150, "height": 40,                // explicit size, upright on the displayed page (optional)
+ *       "pdfRect": { "x": 185.1, "y": 137.6, "width": 150, "height": 40 },
+ *       "value": "Signed by Jane Doe",
+ *       "formFieldName": "Applicant.Signature",  // AcroForm fields only
+ *       "signature": { "imageId": "img1", "fullName": "Jane Doe", "initials": "JD", "font": "Segoe Script", "type": "typed" }
+ *     }],
+ *     "images": { "img1": "data:image/png;base64,…" },
+ *     "dismissedFieldIds": ["anchor-1-2-1"],   // anchor fields the user removed
+ *     "auditEvents": [{                          // history for the audit trail (see audit-trail)
+ *       "id": "…", "type": "signature-applied", "time": "2024-05-02T09:14:07.000Z", "actor": "Jane Doe", …
+ *     }],
+ *     "timestamp": {                             // only after finalizing with a timestamp authority
+ *       "authority": "https://tsa.example.com", "time": "2024-05-02T09:14:07.000Z",
+ *       "serialNumber": "5f1c…", "policy": "1.2.3.4.1",
+ *       "documentSha256": "9b7e…",                 // hash of the signed document the token covers
+ *       "token": "MIIG…"                           // DER RFC 3161 timestamp token, Base64
+ *     }
+ *   }
+ *
+ * Page sizes are the displayed page (CropBox with /Rotate applied), which is
+ * what xPercent/yPercent are measured against. `cropBox` is the visible area
+ * in PDF user space (the CropBox, clipped to the MediaBox, as pdf.js uses it).
+ *
+ * `pdfRect` is the area a field covers in PDF user space: points, origin at
+ * the bottom left, before /Rotate is applied - the same coordinates as the
+ * MediaBox and CropBox, and as an annotation /Rect. On pages rotated by 90 or
+ * 270 degrees its width and height are swapped relative to the field's size.
+ * It maps directly to PDFBox's PDRectangle(x, y, width, height) and iText
+ * 7's Rectangle(x, y, width, height). It is derived on write and ignored on
+ * read.
+ *
+ * `width`/`height` are only stored for fields with their own size (form
+ * fields, imported annotations); other fields use their type's default size.
+ *
+ * Fields detected from the document's AcroForm carry `formFieldName`; their
+ * values are filled into the form on finalize. Checkboxes store `checked`.
+ * Form and anchor fields are detected again on every load with the same ids.
+ * Form fields can't be removed; `dismissedFieldIds` lists the anchor fields
+ * the user removed, so they stay removed.
+ *
+ * Signature images are stored once in `images` and referenced by id, so a
+ * signature applied to several fields doesn't repeat the PNG.
+ *
+ * `auditEvents` keeps the document's event history across sessions, so the
+ * audit trail of a document prepared and signed by different users is complete.
+ *
+ * `timestamp` holds the RFC 3161 token for a signed document that has no
+ * digital signature to carry it (with one, the token is inside the CMS).
+ *
+ * Payloads are validated on read. Older payloads are migrated first; version
+ * 0 is the original format, a bare array of fields with inline signatureData.
+ */
+
+import { getFieldPlacement } from "./pdf-geometry";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const FIELD_DATA_SCHEMA_VERSION = 1;
+
+// Field types the widget can place (text and checkbox come from the document's AcroForm)
+export const FIELD_TYPES = ["signature", "name", "date", "text", "checkbox"];
+
+// Field properties stored as they are
+const FIELD_PROPERTIES = [
+    "id",
+    "type",
+    "page",
+    "xPercent",
+    "yPercent",
+    "value",
+    "formFieldName",
+    "checked",
+    "maxLength"
+];
+
+const UNITS = { position: "percent", pageSize: "pt", size: "pt", pdfRect: "pt" };
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const isPlainObject = value => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isPercent = value => Number.isFinite(value) && value >= 0 && value <= 100;
+
+const isOptionalSize = value => value === undefined || value === null || (Number.isFinite(value) && value > 0);
+
+const roundPoints = value => Math.round(value * 100) / 100;
+
+/**
+ * Keep only the listed keys whose value is set
+ */
+const pickDefined = (source, keys) =>
+    keys.reduce((result, key) => {
+        if (source[key] !== undefined && source[key] !== null) {
+            result[key] = source[key];
+        }
+        return result;
+    }, {});
+
+/**
+ * Describe what is wrong with a stored field, or return null when it is usable
+ */
+const getFieldProblem = (field, images, pageCount) => {
+    if (!isPlainObject(field)) return "not an object";
+    if (typeof field.id !== "string" || !field.id) return "missing id";
+    if (!FIELD_TYPES.includes(field.type)) return `unknown type "${field.type}"`;
+    if (!Number.isInteger(field.page) || field.page < 1) return `invalid page ${field.page}`;
+    if (pageCount && field.page > pageCount) return `page ${field.page} is beyond the document's ${pageCount} pages`;
+    if (!isPercent(field.xPercent) || !isPercent(field.yPercent)) return "position outside the page";
+    if (!isOptionalSize(field.width) || !isOptionalSize(field.height)) return "invalid size";
+    if (field.value !== undefined && field.value !== null && typeof field.value !== "string") {
+        return "value is not a string";
+    }
+    if (field.checked !== undefined && typeof field.checked !== "boolean") return "checked is not a boolean";
+    if (field.formFieldName !== undefined && typeof field.formFieldName !== "string") {
+        return "formFieldName is not a string";
+    }
+
+    if (field.signature !== undefined) {
+        if (!isPlainObject(field.signature)) return "signature is not an object";
+        const { imageId } = field.signature;
+        if (imageId !== undefined && imageId !== null && typeof images[imageId] !== "string") {
+            return `signature image "${imageId}" not found`;
+        }
+    }
+
+    return null;
+};
+
+// ============================================================
+// ENVELOPE
+// ============================================================
+
+/**
+ * Build the envelope for the widget's placed fields.
+ * `document` is { source, key, versionId, sha256 }; `pages` is a list of
+ * { page, width, height, rotation, cropBox } for the loaded document;
+ * `dismissedFieldIds` are removed anchor fields; `auditEvents` is the event
+ * history; `timestamp` is the signed document's timestamp, if any.
+ */
+export const buildFieldDataEnvelope = ({
+    fields,
+    document = {},
+    pages = [],
+    dismissedFieldIds = [],
+    auditEvents = [],
+    timestamp = null
+}) => {
+    const images = {};
+    const imageIds = new Map();
+
+    // Identical images share one entry
+    const addImage = dataUrl => {
+        if (!imageIds.has(dataUrl)) {
+            imageIds.set(dataUrl, `img${imageIds.size + 1}`);
+            images[imageIds.get(dataUrl)] = dataUrl;
+        }
+        return imageIds.get(dataUrl);
+    };
+
+    const storedFields = fields.map(field => {
+        // Left as-is so validation on read reports it
+        if (!isPlainObject(field)) return field;
+
+        const stored = pickDefined(field, [...FIELD_PROPERTIES, "width", "height"]);
+
+        // PDF coordinates need the page's CropBox and rotation, known once the document has loaded
+        const pageInfo = pages.find(page => page.page === field.page);
+        if (pageInfo?.cropBox) {
+            const { rect } = getFieldPlacement(field, pageInfo.cropBox, pageInfo.rotation);
+            stored.pdfRect = {
+                x: roundPoints(rect.x),
+                y: roundPoints(rect.y),
+                width: roundPoints(rect.width),
+                height: roundPoints(rect.height)
+            };
+        }
+
+        if (field.signatureData || field.fullName) {
+            stored.signature = pickDefined(
+                {
+                    imageId:
+                        typeof field.signatureData === "string" && field.signatureData
+                            ? addImage(field.signatureData)
+                            : null,
+                    fullName: field.fullName,
+                    initials: field.initials,
+                    font: field.signatureFont,
+                    type: field.signatureType
+                },
+                ["imageId", "fullName", "initials", "font", "type"]
+            );
+        }
+
+        return stored;
+    });
+
+    return {
+        schemaVersion: FIELD_DATA_SCHEMA_VERSION,
+        document: {
+            source: document.source || null,
+            key: document.key || null,
+            versionId: document.versionId || null,
+            sha256: document.sha256 || null
+        },
+        units: UNITS,
+        pages,
+        fields: storedFields,
+        images,
+        ...(dismissedFieldIds.length > 0 ? { dismissedFieldIds } : {}),
+        ...(auditEvents.length > 0 ? { auditEvents } : {}),
+        ...(timestamp ? { timestamp } : {})
+    };
+};
+
+// ============================================================
+// MIGRATION
+// ============================================================
+
+/**
+ * Version 0 (bare array, inline signature images) to version 1
+ */
+const migrateFromVersion0 = legacyFields => {
+    // Version 0 recorded the S3 version per field; all fields of one payload share it
+    const versionId = legacyFields.find(field => isPlainObject(field) && field.documentVersionId)?.documentVersionId;
+    return buildFieldDataEnvelope({ fields: legacyFields, document: { versionId } });
+};
+
+/**
+ * Bring a parsed payload up to the current schema version
+ */
+export const migrateFieldData = payload => {
+    if (Array.isArray(payload)) {
+        return { envelope: migrateFromVersion0(payload), migratedFrom: 0 };
+    }
+
+    if (!isPlainObject(payload) || !Number.isInteger(payload.schemaVersion)) {
+        throw new Error("Field data has no schemaVersion and is not a legacy field array");
+    }
+    if (payload.schemaVersion > FIELD_DATA_SCHEMA_VERSION) {
+        throw new Error(
+            `Field data schema version ${payload.schemaVersion} is newer than this widget supports (${FIELD_DATA_SCHEMA_VERSION})`
+        );
+    }
+    if (payload.schemaVersion < 1) {
+        throw new Error(`Field data schema version ${payload.schemaVersion} is not supported`);
+    }
+
+    return { envelope: payload, migratedFrom: null };
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Serialize the widget's placed fields to the field data JSON
+ */
+export const serializeFieldData = options => JSON.stringify(buildFieldDataEnvelope(options));
+
+/**
+ * Parse field data JSON (any supported version) into the widget's field model.
+ *
+ * Throws when the payload can't be read at all. Individual fields that fail
+ * validation are dropped and described in `problems`.
+ */
+export const parseFieldData = json => {
+    if (!json) {
+        return {
+            document: null,
+            pages: [],
+            fields: [],
+            dismissedFieldIds: [],
+            auditEvents: [],
+            timestamp: null,
+            problems: [],
+            migratedFrom: null
+        };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Field data is not valid JSON: ${error.message}`);
+    }
+
+    const { envelope, migratedFrom } = migrateFieldData(payload);
+
+    if (!Array.isArray(envelope.fields)) {
+        throw new Error("Field data has no fields array");
+    }
+
+    const document = isPlainObject(envelope.document) ? envelope.document : {};
+    const pages = Array.isArray(envelope.pages) ? envelope.pages : [];
+    const images = isPlainObject(envelope.images) ? envelope.images : {};
+    const problems = [];
+
+    const fields = envelope.fields.reduce((result, field, index) => {
+        const problem = getFieldProblem(field, images, pages.length);
+        if (problem) {
+            problems.push(`Field ${index + 1}${field?.id ? ` (${field.id})` : ""}: ${problem}`);
+            return result;
+        }
+
+        const signature = field.signature || {};
+        const hasOwnSize = field.width !== undefined && field.height !== undefined;
+        result.push({
+            ...pickDefined(field, hasOwnSize ? [...FIELD_PROPERTIES, "width", "height"] : FIELD_PROPERTIES),
+            ...pickDefined(
+                {
+                    documentVersionId: document.versionId,
+                    signatureData: signature.imageId ? images[signature.imageId] : undefined,
+                    fullName: signature.fullName,
+                    initials: signature.initials,
+                    signatureFont: signature.font,
+                    signatureType: signature.type
+                },
+                ["documentVersionId", "signatureData", "fullName", "initials", "signatureFont", "signatureType"]
+            )
+        });
+        return result;
+    }, []);
+
+    return {
+        document: {
+            source: document.source || null,
+            key: document.key || null,
+            versionId: document.versionId || null,
+            sha256: document.sha256 || null
+        },
+        pages,
+        fields,
+        dismissedFieldIds: Array.isArray(envelope.dismissedFieldIds)
+            ? envelope.dismissedFieldIds.filter(id => typeof id === "string")
+            : [],
+        auditEvents: Array.isArray(envelope.auditEvents)
+            ? envelope.auditEvents.filter(
+                  event => isPlainObject(event) && typeof event.type === "string" && typeof event.time === "string"
+              )
+            : [],
+        timestamp: isPlainObject(envelope.timestamp) ? envelope.timestamp : null,
+        problems,
+        migratedFrom
+    };
+};
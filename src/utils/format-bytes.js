@@ -0,0 +1,14 @@
+/**
+ * Format Bytes
+ *
+ * Human-readable byte counts for file sizes and transfer progress.
+ */
+
+/**
+ * Format a byte count ("512 B", "14.2 KB", "1.4 MB")
+ */
+export const formatBytes = bytes => {
+    if (bytes < 1024) return `${Math.round(bytes)} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,81 @@
+/**
+ * Google Cloud Storage Downloader
+ *
+ * Downloads objects from private GCS buckets through the XML API using HMAC
+ * interoperability keys. GCS accepts AWS Signature V4 (with region "auto"),
+ * so requests are signed by the S3 downloader against storage.googleapis.com.
+ * Exposes the same downloadFile/testConnection shape as SecureS3Downloader.
+ */
+
+import { downloadFromS3, testS3Connection, createPresignedUrl } from "./s3-downloader";
+import { createS3RangeFetcher } from "./s3-range-transport";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const GCS_ENDPOINT = "https://storage.googleapis.com";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Map GCS HMAC credentials to the S3 config shape.
+ * Path-style addressing works for every bucket name and for emulators.
+ */
+export const toGcsS3Config = ({ accessKey, secret, endpoint }) => ({
+    accessKey,
+    secretKey: secret,
+    region: "auto",
+    sessionToken: null,
+    endpoint: endpoint || GCS_ENDPOINT,
+    forcePathStyle: true
+});
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Download an object from Google Cloud Storage
+ */
+export const downloadFromGcs = (config, bucketName, objectName, onProgress, options = {}) =>
+    downloadFromS3(toGcsS3Config(config), bucketName, objectName, onProgress, options);
+
+/**
+ * Create a range fetcher for a GCS object (see s3-range-transport)
+ */
+export const createGcsRangeFetcher = (config, bucketName, objectName) =>
+    createS3RangeFetcher(toGcsS3Config(config), bucketName, objectName);
+
+/**
+ * Test access to a GCS bucket with the HMAC key
+ */
+export const testGcsConnection = (config, bucketName) => {
+    console.info("🧪 Testing Google Cloud Storage connection...");
+    return testS3Connection(toGcsS3Config(config), bucketName);
+};
+
+// Same shape as SecureS3Downloader
+export class SecureGcsDownloader {
+    constructor(accessKey, secret, endpointOptions = {}) {
+        this.config = {
+            accessKey,
+            secret,
+            endpoint: endpointOptions.endpoint || null
+        };
+    }
+
+    downloadFile(bucketName, objectName, onProgress, options = {}) {
+        return downloadFromGcs(this.config, bucketName, objectName, onProgress, options);
+    }
+
+    testConnection(bucketName) {
+        return testGcsConnection(this.config, bucketName);
+    }
+
+    generatePresignedUrl(bucketName, objectName, expirationSeconds = 3600) {
+        return createPresignedUrl(toGcsS3Config(this.config), bucketName, objectName, expirationSeconds);
+    }
+}
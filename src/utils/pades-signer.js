@@ -0,0 +1,454 @@
+/**
+ * PAdES Signer
+ *
+ * Applies a PAdES-B-B digital signature to a PDF: a detached CMS
+ * (PKCS#7) SignedData over the document's byte range, stored in a /Sig
+ * dictionary with SubFilter ETSI.CAdES.detached, so PDF readers show a
+ * signature panel that detects any later change to the document.
+ *
+ * The signature is appended as an incremental update, so signatures the
+ * document already carries keep covering their revision (counter-signing).
+ *
+ * Signing goes through a signer object:
+ *
+ *   {
+ *     certificates,                            // certificates as forge ASN.1, signing certificate first
+ *     signatureAlgorithm,                      // 'RSA' (PKCS#1 v1.5) or 'ECDSA'
+ *     sign(signedAttributes, digest)           // resolves to the signature bytes
+ *   }
+ *
+ * `signedAttributes` is the DER encoding to sign (SHA-256 is applied by the
+ * signer); `digest` is its SHA-256 hash, for signers that only sign hashes.
+ * createP12Signer builds one from a .p12/.pfx file; createExternalSigner
+ * adapts a signer registered by the app (e.g. one backed by an HSM).
+ *
+ * The signed attributes are content-type, message-digest and
+ * signing-certificate-v2; the signing time is the /M entry of the signature
+ * dictionary, as PAdES baseline signatures require. With a timestamp
+ * authority, an RFC 3161 token over the signature value is added as the
+ * signature-time-stamp unsigned attribute (PAdES-B-T), which proves the
+ * signature existed at that time.
+ */
+
+import forge from "node-forge";
+import { PDFArray, PDFHexString, PDFName, PDFNumber, PDFString } from "pdf-lib";
+import { addPageAnnotation, loadForIncrementalUpdate } from "./pdf-incremental-update";
+import { requestTimestamp } from "./timestamp-client";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// Bytes reserved for the CMS in /Contents (certificate chain plus signature, with room for a timestamp)
+export const SIGNATURE_CONTENTS_SIZE = 16384;
+
+// Width of each ByteRange number placeholder
+const BYTE_RANGE_PLACEHOLDER = "**********";
+
+const OIDS = {
+    data: "1.2.840.113549.1.7.1",
+    signedData: "1.2.840.113549.1.7.2",
+    contentType: "1.2.840.113549.1.9.3",
+    messageDigest: "1.2.840.113549.1.9.4",
+    signingCertificateV2: "1.2.840.113549.1.9.16.2.47",
+    signatureTimeStampToken: "1.2.840.113549.1.9.16.2.14",
+    sha256: "2.16.840.1.101.3.4.2.1",
+    rsaEncryption: "1.2.840.113549.1.1.1",
+    ecdsaWithSha256: "1.2.840.10045.4.3.2",
+    commonName: "2.5.4.3"
+};
+
+const { asn1 } = forge;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Convert between Uint8Array and forge's binary strings
+ */
+const toBinaryString = bytes => forge.util.binary.raw.encode(bytes);
+const fromBinaryString = binary => forge.util.binary.raw.decode(binary);
+
+/**
+ * SHA-256 of a byte array (WebCrypto, so large documents hash off the JS heap)
+ */
+const sha256 = async bytes => new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+
+const createSequence = items => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const createSet = items => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, items);
+const createOid = oid => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes());
+const createOctetString = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, binary);
+const createInteger = binary => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, binary);
+const createNull = () => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "");
+const toDer = node => asn1.toDer(node).getBytes();
+
+const createAlgorithmIdentifier = (oid, withNullParameters = true) =>
+    createSequence([createOid(oid), ...(withNullParameters ? [createNull()] : [])]);
+
+/**
+ * Attribute ::= SEQUENCE { attrType OID, attrValues SET OF AttributeValue }
+ */
+const createAttribute = (oid, value) => createSequence([createOid(oid), createSet([value])]);
+
+/**
+ * Sort SET OF members by their DER encoding, as DER requires
+ */
+const sortByDer = nodes =>
+    nodes
+        .map(node => ({ node, der: toDer(node) }))
+        .sort((a, b) => (a.der < b.der ? -1 : a.der > b.der ? 1 : 0))
+        .map(({ node }) => node);
+
+/**
+ * Serial number (INTEGER content bytes), issuer and subject of a certificate.
+ * Read from the ASN.1 directly, since forge only parses certificates with RSA keys.
+ */
+const readCertificateFields = certificate => {
+    const tbs = certificate.value[0];
+    // Version is an optional [0] before the serial number
+    const offset = tbs.value[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0;
+    const [serialNumber, , issuer, , subject] = tbs.value.slice(offset);
+    return { serialNumber: serialNumber.value, issuer, subject };
+};
+
+/**
+ * Parse a PEM or base64 DER certificate into ASN.1
+ */
+const parseCertificate = certificate =>
+    asn1.fromDer(
+        certificate.includes("-----BEGIN") ? forge.pem.decode(certificate)[0].body : forge.util.decode64(certificate)
+    );
+
+/**
+ * Common name of a certificate subject, used as the signer's name
+ */
+export const getCertificateCommonName = certificate => {
+    const { subject } = readCertificateFields(certificate);
+    const attribute = subject.value
+        .flatMap(rdn => rdn.value)
+        .find(typeAndValue => asn1.derToOid(typeAndValue.value[0].value) === OIDS.commonName);
+    if (!attribute) return "";
+
+    // Older certificates use PrintableString or Latin-1 T61String rather than UTF-8
+    try {
+        return forge.util.decodeUtf8(attribute.value[1].value);
+    } catch (error) {
+        return attribute.value[1].value;
+    }
+};
+
+// ============================================================
+// CMS
+// ============================================================
+
+/**
+ * Build the signed attributes for a document digest
+ */
+const createSignedAttributes = (documentDigest, certificate) => {
+    const { serialNumber, issuer } = readCertificateFields(certificate);
+    const certificateDer = toDer(certificate);
+    const certificateHash = forge.md.sha256.create().update(certificateDer).digest().getBytes();
+
+    // SigningCertificateV2 ::= SEQUENCE { certs SEQUENCE OF ESSCertIDv2 }
+    // ESSCertIDv2 ::= SEQUENCE { certHash OCTET STRING, issuerSerial IssuerSerial } (SHA-256 is the default hash)
+    const signingCertificate = createSequence([
+        createSequence([
+            createSequence([
+                createOctetString(certificateHash),
+                createSequence([
+                    createSequence([asn1.create(asn1.Class.CONTEXT_SPECIFIC, 4, true, [issuer])]),
+                    createInteger(serialNumber)
+                ])
+            ])
+        ])
+    ]);
+
+    return sortByDer([
+        createAttribute(OIDS.contentType, createOid(OIDS.data)),
+        createAttribute(OIDS.messageDigest, createOctetString(toBinaryString(documentDigest))),
+        createAttribute(OIDS.signingCertificateV2, signingCertificate)
+    ]);
+};
+
+/**
+ * Assemble the CMS ContentInfo (detached SignedData with one signer)
+ */
+const createSignedData = ({
+    certificates,
+    signedAttributes,
+    signature,
+    signatureAlgorithm,
+    unsignedAttributes = []
+}) => {
+    const { serialNumber, issuer } = readCertificateFields(certificates[0]);
+    const signatureAlgorithmIdentifier =
+        signatureAlgorithm === "ECDSA"
+            ? createAlgorithmIdentifier(OIDS.ecdsaWithSha256, false)
+            : createAlgorithmIdentifier(OIDS.rsaEncryption);
+
+    const signerInfo = createSequence([
+        createInteger(String.fromCharCode(1)),
+        createSequence([issuer, createInteger(serialNumber)]),
+        createAlgorithmIdentifier(OIDS.sha256),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+        signatureAlgorithmIdentifier,
+        createOctetString(toBinaryString(signature)),
+        ...(unsignedAttributes.length > 0
+            ? [asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, sortByDer(unsignedAttributes))]
+            : [])
+    ]);
+
+    const signedData = createSequence([
+        createInteger(String.fromCharCode(1)),
+        createSet([createAlgorithmIdentifier(OIDS.sha256)]),
+        createSequence([createOid(OIDS.data)]),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, certificates),
+        createSet([signerInfo])
+    ]);
+
+    return createSequence([
+        createOid(OIDS.signedData),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+    ]);
+};
+
+/**
+ * Create a detached CMS signature over the given document digest.
+ * With a timestampAuthorityUrl the signature value is timestamped.
+ */
+export const createCmsSignature = async (documentDigest, signer, { timestampAuthorityUrl } = {}) => {
+    const signedAttributes = createSignedAttributes(documentDigest, signer.certificates[0]);
+    const signedAttributesDer = fromBinaryString(toDer(createSet(signedAttributes)));
+    const signature = await signer.sign(signedAttributesDer, await sha256(signedAttributesDer));
+
+    const unsignedAttributes = [];
+    if (timestampAuthorityUrl) {
+        const { token } = await requestTimestamp(timestampAuthorityUrl, await sha256(signature));
+        unsignedAttributes.push(createAttribute(OIDS.signatureTimeStampToken, asn1.fromDer(toBinaryString(token))));
+    }
+
+    return fromBinaryString(
+        toDer(
+            createSignedData({
+                certificates: signer.certificates,
+                signedAttributes,
+                signature,
+                signatureAlgorithm: signer.signatureAlgorithm,
+                unsignedAttributes
+            })
+        )
+    );
+};
+
+// ============================================================
+// SIGNERS
+// ============================================================
+
+/**
+ * Create a signer from a PKCS#12 (.p12/.pfx) file holding an RSA key and its certificate chain
+ */
+export const createP12Signer = (p12Bytes, password = "") => {
+    let p12;
+    try {
+        p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(toBinaryString(p12Bytes)), password);
+    } catch (error) {
+        throw new Error(`Could not open the certificate file (wrong password or not a .p12/.pfx): ${error.message}`);
+    }
+
+    const keyBags = [
+        ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+        ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+    ];
+    const privateKey = keyBags.find(bag => bag.key)?.key;
+    if (!privateKey) {
+        throw new Error("The certificate file contains no RSA private key (only RSA keys are supported in .p12 files)");
+    }
+
+    const certificates = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+        .map(bag => bag.cert)
+        .filter(Boolean);
+
+    // The signing certificate is the one matching the private key; the rest form the chain
+    const signingCertificate = certificates.find(
+        certificate => certificate.publicKey.n && certificate.publicKey.n.equals(privateKey.n)
+    );
+    if (!signingCertificate) {
+        throw new Error("The certificate file contains no certificate for its private key");
+    }
+
+    return {
+        certificates: [
+            signingCertificate,
+            ...certificates.filter(certificate => certificate !== signingCertificate)
+        ].map(certificate => forge.pki.certificateToAsn1(certificate)),
+        signatureAlgorithm: "RSA",
+        sign: async signedAttributes => {
+            const md = forge.md.sha256.create();
+            md.update(toBinaryString(signedAttributes));
+            return fromBinaryString(privateKey.sign(md));
+        }
+    };
+};
+
+/**
+ * Adapt a signer registered by the app. Certificates may be PEM strings or
+ * base64 DER; the sign callback may resolve to bytes or a base64 string.
+ */
+export const createExternalSigner = externalSigner => {
+    if (
+        !externalSigner ||
+        typeof externalSigner.sign !== "function" ||
+        !Array.isArray(externalSigner.certificates) ||
+        externalSigner.certificates.length === 0
+    ) {
+        throw new Error("The external signer must provide a sign function and at least one certificate");
+    }
+
+    return {
+        certificates: externalSigner.certificates.map(parseCertificate),
+        signatureAlgorithm: externalSigner.signatureAlgorithm === "ECDSA" ? "ECDSA" : "RSA",
+        sign: async (signedAttributes, digest) => {
+            const signature = await externalSigner.sign(signedAttributes, digest);
+            return typeof signature === "string"
+                ? fromBinaryString(forge.util.decode64(signature))
+                : new Uint8Array(signature);
+        }
+    };
+};
+
+// ============================================================
+// PDF
+// ============================================================
+
+/**
+ * Add an invisible signature field whose /Sig dictionary reserves space for
+ * the CMS, written as an incremental update so existing signatures stay valid
+ */
+const addSignaturePlaceholder = async (
+    pdfBytes,
+    { pageIndex = 0, fieldName, reason, location, name, contactInfo, signingTime, contentsSize }
+) => {
+    const { pdfDoc, save } = await loadForIncrementalUpdate(pdfBytes);
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    const page = pages[Math.min(pageIndex, pages.length - 1)];
+
+    const byteRange = PDFArray.withContext(context);
+    byteRange.push(PDFNumber.of(0));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+
+    const signatureRef = context.register(
+        context.obj({
+            Type: "Sig",
+            Filter: "Adobe.PPKLite",
+            SubFilter: "ETSI.CAdES.detached",
+            ByteRange: byteRange,
+            Contents: PDFHexString.of("0".repeat(contentsSize * 2)),
+            M: PDFString.fromDate(signingTime),
+            ...(name ? { Name: PDFHexString.fromText(name) } : {}),
+            ...(reason ? { Reason: PDFHexString.fromText(reason) } : {}),
+            ...(location ? { Location: PDFHexString.fromText(location) } : {}),
+            ...(contactInfo ? { ContactInfo: PDFHexString.fromText(contactInfo) } : {})
+        })
+    );
+
+    // Print (4) + Locked (128)
+    const widgetRef = context.register(
+        context.obj({
+            Type: "Annot",
+            Subtype: "Widget",
+            FT: "Sig",
+            Rect: [0, 0, 0, 0],
+            V: signatureRef,
+            T: PDFString.of(fieldName),
+            F: 132,
+            P: page.ref
+        })
+    );
+
+    addPageAnnotation(page, widgetRef);
+
+    const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+    acroForm.addField(widgetRef);
+    // SignaturesExist (1) + AppendOnly (2)
+    acroForm.dict.set(PDFName.of("SigFlags"), PDFNumber.of(3));
+
+    return save();
+};
+
+/**
+ * Locate the ByteRange and Contents placeholders in the update appended from `fromIndex`
+ */
+const findPlaceholders = (pdfBytes, contentsSize, fromIndex) => {
+    const text = new TextDecoder("latin1").decode(pdfBytes.subarray(fromIndex));
+
+    const byteRangeMatch = /\/ByteRange\s*\[\s*0\s+\/\*{10}\s+\/\*{10}\s+\/\*{10}\s*\]/.exec(text);
+    if (!byteRangeMatch) {
+        throw new Error("Signature placeholder not found in the saved document");
+    }
+
+    const contentsPlaceholder = `<${"0".repeat(contentsSize * 2)}>`;
+    const contentsStart = text.indexOf(contentsPlaceholder);
+    if (contentsStart < 0) {
+        throw new Error("Signature contents placeholder not found in the saved document");
+    }
+
+    return {
+        byteRangeStart: fromIndex + byteRangeMatch.index,
+        byteRangeLength: byteRangeMatch[0].length,
+        contentsStart: fromIndex + contentsStart,
+        contentsEnd: fromIndex + contentsStart + contentsPlaceholder.length
+    };
+};
+
+/**
+ * Sign a PDF with a PAdES-B-B signature.
+ * Options: pageIndex (page holding the invisible signature field), fieldName,
+ * reason, location, name, contactInfo, signingTime, contentsSize and
+ * timestampAuthorityUrl.
+ * Resolves to the signed PDF bytes.
+ */
+export const signPdf = async (pdfBytes, signer, options = {}) => {
+    const contentsSize = options.contentsSize || SIGNATURE_CONTENTS_SIZE;
+    const signingTime = options.signingTime || new Date();
+
+    const prepared = await addSignaturePlaceholder(pdfBytes, {
+        ...options,
+        fieldName: options.fieldName || `Signature${Date.now()}`,
+        name: options.name || getCertificateCommonName(signer.certificates[0]),
+        signingTime,
+        contentsSize
+    });
+    const { byteRangeStart, byteRangeLength, contentsStart, contentsEnd } = findPlaceholders(
+        prepared,
+        contentsSize,
+        pdfBytes.length
+    );
+
+    // Everything except the /Contents hex string (including its angle brackets) is signed
+    const byteRange = [0, contentsStart, contentsEnd, prepared.length - contentsEnd];
+    const byteRangeText = `/ByteRange [${byteRange.join(" ")}]`.padEnd(byteRangeLength, " ");
+    if (byteRangeText.length > byteRangeLength) {
+        throw new Error("ByteRange does not fit its placeholder");
+    }
+    prepared.set(new TextEncoder().encode(byteRangeText), byteRangeStart);
+
+    const signedContent = new Uint8Array(byteRange[1] + byteRange[3]);
+    signedContent.set(prepared.subarray(0, contentsStart), 0);
+    signedContent.set(prepared.subarray(contentsEnd), contentsStart);
+
+    const cms = await createCmsSignature(await sha256(signedContent), signer, options);
+    if (cms.length > contentsSize) {
+        throw new Error(`The signature (${cms.length} bytes) is larger than the reserved ${contentsSize} bytes`);
+    }
+
+    const cmsHex = Array.from(cms, byte => byte.toString(16).padStart(2, "0"))
+        .join("")
+        .padEnd(contentsSize * 2, "0");
+    prepared.set(new TextEncoder().encode(cmsHex), contentsStart + 1);
+
+    return prepared;
+};
@@ -0,0 +1,353 @@
+/**
+ * PDF Flattener
+ *
+ * Burns the placed fields (name, date and signature images) into the PDF
+ * so the output document carries the signatures itself.
+ * Positions are resolved with pdf-geometry so page rotation and crop boxes
+ * produce the same placement DocumentViewer showed.
+ *
+ * Text and checkbox fields detected from the document's AcroForm (see
+ * acroform) are written into the form instead of drawn, so the output stays
+ * fillable. Signatures on form signature fields are drawn like any other.
+ *
+ * Documents that are already digitally signed can't be redrawn without
+ * breaking their signatures; appendFieldsToSignedPdf adds the fields as
+ * annotations in an incremental update instead.
+ */
+
+import { PDFDocument, PDFHexString, PDFString, StandardFonts, degrees, drawImage, drawText, rgb } from "pdf-lib";
+import { addPageAnnotation, loadForIncrementalUpdate } from "./pdf-incremental-update";
+import { getFieldPlacement, normalizeRotation, offsetInRotatedFrame } from "./pdf-geometry";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+// Font sizes match the placeholders rendered in DocumentViewer.css
+const TEXT_STYLES = {
+    name: { fontName: StandardFonts.Helvetica, size: 10.5 },
+    date: { fontName: StandardFonts.HelveticaBold, size: 14 }
+};
+
+const DEFAULT_TEXT_STYLE = { fontName: StandardFonts.Helvetica, size: 12 };
+const MIN_FONT_SIZE = 6;
+
+/**
+ * Convert a Uint8Array to a base64 string (chunked to avoid call stack limits)
+ */
+export const uint8ArrayToBase64 = bytes => {
+    let binary = "";
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Convert a base64 string (optionally a data URL) to a Uint8Array
+ */
+export const base64ToUint8Array = base64 => {
+    const cleaned = base64.includes(",") ? base64.substring(base64.indexOf(",") + 1) : base64;
+    const binary = atob(cleaned.replace(/\s/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Drop characters the standard fonts cannot encode (WinAnsi only)
+ */
+export const toEncodableText = (text, font) => {
+    const characterSet = new Set(font.getCharacterSet());
+    return Array.from(text)
+        .filter(char => characterSet.has(char.codePointAt(0)))
+        .join("");
+};
+
+/**
+ * Shrink the font size until the text fits the field width
+ */
+const fitFontSize = (text, font, size, maxWidth) => {
+    let fittedSize = size;
+    while (fittedSize > MIN_FONT_SIZE && font.widthOfTextAtSize(text, fittedSize) > maxWidth) {
+        fittedSize -= 0.5;
+    }
+    return fittedSize;
+};
+
+// ============================================================
+// LAYOUT
+// ============================================================
+
+/**
+ * Position a text field's value centered in its box.
+ * Returns null when there is nothing the font can draw.
+ */
+const layoutTextField = (field, placement, font, style) => {
+    const text = toEncodableText(String(field.value || ""), font);
+    if (!text) return null;
+
+    const size = fitFontSize(text, font, style.size, placement.width - 4);
+    const textWidth = font.widthOfTextAtSize(text, size);
+    const textHeight = font.heightAtSize(size, { descender: false });
+
+    const origin = offsetInRotatedFrame(
+        placement.anchor,
+        placement.rotation,
+        (placement.width - textWidth) / 2,
+        (placement.height - textHeight) / 2
+    );
+
+    return { text, x: origin.x, y: origin.y, size };
+};
+
+/**
+ * Position a signature image fitted (aspect preserved) and centered in its box
+ */
+const layoutSignatureField = (placement, image) => {
+    const fitScale = Math.min(placement.width / image.width, placement.height / image.height);
+    const width = image.width * fitScale;
+    const height = image.height * fitScale;
+
+    const origin = offsetInRotatedFrame(
+        placement.anchor,
+        placement.rotation,
+        (placement.width - width) / 2,
+        (placement.height - height) / 2
+    );
+
+    return { x: origin.x, y: origin.y, width, height };
+};
+
+/**
+ * Embed each standard font at most once per document
+ */
+const createFontLoader = pdfDoc => {
+    const fontCache = {};
+    return async fontName => {
+        if (!fontCache[fontName]) {
+            fontCache[fontName] = await pdfDoc.embedFont(fontName);
+        }
+        return fontCache[fontName];
+    };
+};
+
+/**
+ * Resolve a field's page and placement, or null (with a warning) if its page doesn't exist
+ */
+const placeField = (pages, field) => {
+    const page = pages[field.page - 1];
+    if (!page) {
+        console.warn(`⚠️ Skipping field ${field.id}: page ${field.page} does not exist`);
+        return null;
+    }
+
+    const rotation = normalizeRotation(page.getRotation().angle);
+    return { page, placement: getFieldPlacement(field, page.getCropBox(), rotation) };
+};
+
+// ============================================================
+// ANNOTATIONS
+// ============================================================
+
+// Print (4) + ReadOnly (64) + Locked (128)
+const FIELD_ANNOTATION_FLAGS = 196;
+
+/**
+ * Add a locked annotation showing a field. Its appearance is drawn in page
+ * user space, so the bounding box is simply the field's rectangle.
+ */
+const addFieldAnnotation = (pdfDoc, page, field, placement, { operators, resources, entries }) => {
+    const { context } = pdfDoc;
+    const { x, y, width, height } = placement.rect;
+    const bounds = [x, y, x + width, y + height];
+
+    const appearanceRef = context.register(context.formXObject(operators, { BBox: bounds, Resources: resources }));
+    const annotationRef = context.register(
+        context.obj({
+            Type: "Annot",
+            Rect: bounds,
+            F: FIELD_ANNOTATION_FLAGS,
+            NM: PDFHexString.fromText(String(field.id)),
+            M: PDFString.fromDate(new Date()),
+            P: page.ref,
+            AP: { N: appearanceRef },
+            ...entries
+        })
+    );
+    addPageAnnotation(page, annotationRef);
+};
+
+/**
+ * Annotation showing a text field's value, or null if there is nothing to show
+ */
+const createTextAnnotation = (field, placement, font, style) => {
+    const layout = layoutTextField(field, placement, font, style);
+    if (!layout) return null;
+
+    return {
+        operators: drawText(font.encodeText(layout.text), {
+            x: layout.x,
+            y: layout.y,
+            size: layout.size,
+            font: "F0",
+            color: rgb(0, 0, 0),
+            rotate: degrees(placement.rotation),
+            xSkew: degrees(0),
+            ySkew: degrees(0)
+        }),
+        resources: { Font: { F0: font.ref } },
+        entries: {
+            Subtype: "FreeText",
+            Contents: PDFHexString.fromText(layout.text),
+            DA: PDFString.of(`/Helv ${layout.size} Tf 0 g`)
+        }
+    };
+};
+
+/**
+ * Annotation showing a signature image
+ */
+const createSignatureAnnotation = (field, placement, image) => ({
+    operators: drawImage("Im0", {
+        ...layoutSignatureField(placement, image),
+        rotate: degrees(placement.rotation),
+        xSkew: degrees(0),
+        ySkew: degrees(0)
+    }),
+    resources: { XObject: { Im0: image.ref } },
+    entries: {
+        Subtype: "Stamp",
+        Name: "Draft",
+        ...(field.fullName ? { Contents: PDFHexString.fromText(field.fullName) } : {})
+    }
+});
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Load a PDF and draw every field onto its page.
+ * Returns the PDFDocument so callers can keep editing before saving.
+ */
+export const drawFieldsOnPdf = async (pdfBytes, fields) => {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const pages = pdfDoc.getPages();
+    const getFont = createFontLoader(pdfDoc);
+
+    for (const field of fields) {
+        // Form values are filled into the form by fillFormFields
+        if (field.formFieldName && field.type !== "signature") continue;
+
+        const placed = placeField(pages, field);
+        if (!placed) continue;
+        const { page, placement } = placed;
+
+        if (field.type === "signature") {
+            if (!field.signatureData) continue;
+            const image = await pdfDoc.embedPng(base64ToUint8Array(field.signatureData));
+            page.drawImage(image, { ...layoutSignatureField(placement, image), rotate: degrees(placement.rotation) });
+        } else {
+            const style = TEXT_STYLES[field.type] || DEFAULT_TEXT_STYLE;
+            const font = await getFont(style.fontName);
+            const layout = layoutTextField(field, placement, font, style);
+            if (!layout) continue;
+            page.drawText(layout.text, {
+                x: layout.x,
+                y: layout.y,
+                size: layout.size,
+                font,
+                color: rgb(0, 0, 0),
+                rotate: degrees(placement.rotation)
+            });
+        }
+    }
+
+    return pdfDoc;
+};
+
+/**
+ * Write the values of detected form fields into the document's AcroForm.
+ * Widgets sharing a field name share its value, so each name is filled once.
+ */
+export const fillFormFields = async (pdfDoc, fields) => {
+    const formFields = fields.filter(field => field.formFieldName && field.type !== "signature");
+    if (formFields.length === 0) return;
+
+    const form = pdfDoc.getForm();
+    // Appearances are regenerated with Helvetica, so values are limited to what it encodes
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const filledNames = new Set();
+
+    for (const field of formFields) {
+        if (filledNames.has(field.formFieldName)) continue;
+        filledNames.add(field.formFieldName);
+
+        try {
+            if (field.type === "checkbox") {
+                const checkBox = form.getCheckBox(field.formFieldName);
+                if (field.checked) {
+                    checkBox.check();
+                } else {
+                    checkBox.uncheck();
+                }
+            } else {
+                const textField = form.getTextField(field.formFieldName);
+                const text = toEncodableText(String(field.value || ""), font);
+                const maxLength = textField.getMaxLength();
+                textField.setText(maxLength !== undefined ? text.slice(0, maxLength) : text);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not fill form field ${field.formFieldName}: ${error.message}`);
+        }
+    }
+
+    form.updateFieldAppearances(font);
+};
+
+/**
+ * Add every field to an already signed PDF as an incremental update, so the
+ * existing signatures keep covering their revision. Fields become locked
+ * annotations (their appearance is what drawFieldsOnPdf would draw) and form
+ * values are filled in. Resolves to the updated PDF bytes.
+ */
+export const appendFieldsToSignedPdf = async (pdfBytes, fields) => {
+    const { pdfDoc, save } = await loadForIncrementalUpdate(pdfBytes);
+    const pages = pdfDoc.getPages();
+    const getFont = createFontLoader(pdfDoc);
+
+    for (const field of fields) {
+        if (field.formFieldName && field.type !== "signature") continue;
+
+        const placed = placeField(pages, field);
+        if (!placed) continue;
+        const { page, placement } = placed;
+
+        let annotation;
+        if (field.type === "signature") {
+            if (!field.signatureData) continue;
+            const image = await pdfDoc.embedPng(base64ToUint8Array(field.signatureData));
+            annotation = createSignatureAnnotation(field, placement, image);
+        } else {
+            const style = TEXT_STYLES[field.type] || DEFAULT_TEXT_STYLE;
+            annotation = createTextAnnotation(field, placement, await getFont(style.fontName), style);
+        }
+        if (annotation) addFieldAnnotation(pdfDoc, page, field, placement, annotation);
+    }
+
+    await fillFormFields(pdfDoc, fields);
+    return save();
+};
+
+/**
+ * Produce a new PDF with all fields burned onto their pages
+ */
+export const flattenFieldsToPdf = async (pdfBytes, fields) => {
+    const pdfDoc = await drawFieldsOnPdf(pdfBytes, fields);
+    await fillFormFields(pdfDoc, fields);
+    return pdfDoc.save();
+};
@@ -0,0 +1,162 @@
+/**
+ * PDF Geometry Helpers
+ *
+ * Converts field positions between the rendered page (percentages of the
+ * drop zone, as stored in droppedFields) and PDF user space.
+ *
+ * The rendered page is what pdf.js shows: the CropBox, rotated by the page's
+ * /Rotate value. At scale 1.0 react-pdf renders 1 CSS pixel per PDF point,
+ * so the placeholder sizes from DocumentViewer.css double as sizes in points.
+ */
+
+// ============================================================
+// FIELD SIZES
+// ============================================================
+
+/**
+ * Size (in points, upright on the rendered page) of each field type
+ */
+export const FIELD_BOX_SIZES = {
+    signature: { width: 150, height: 40 },
+    name: { width: 150, height: 24 },
+    date: { width: 120, height: 36 },
+    text: { width: 150, height: 24 },
+    checkbox: { width: 14, height: 14 }
+};
+
+const DEFAULT_FIELD_BOX_SIZE = { width: 150, height: 30 };
+
+/**
+ * Get the box size for a field, honouring explicit width/height if present
+ */
+export const getFieldBoxSize = field => {
+    const defaults = FIELD_BOX_SIZES[field.type] || DEFAULT_FIELD_BOX_SIZE;
+    return {
+        width: field.width || defaults.width,
+        height: field.height || defaults.height
+    };
+};
+
+// ============================================================
+// PAGE BOXES
+// ============================================================
+
+/**
+ * Normalize a rotation angle to 0, 90, 180 or 270
+ */
+export const normalizeRotation = angle => (((Math.round((angle || 0) / 90) * 90) % 360) + 360) % 360;
+
+/**
+ * Build a page box from a pdf.js view array [x0, y0, x1, y1]
+ */
+export const boxFromViewArray = view => ({
+    x: Math.min(view[0], view[2]),
+    y: Math.min(view[1], view[3]),
+    width: Math.abs(view[2] - view[0]),
+    height: Math.abs(view[3] - view[1])
+});
+
+/**
+ * Size of the page as it is displayed (rotation applied)
+ */
+export const getDisplaySize = (box, rotation) => {
+    const isSideways = rotation === 90 || rotation === 270;
+    return {
+        width: isSideways ? box.height : box.width,
+        height: isSideways ? box.width : box.height
+    };
+};
+
+// ============================================================
+// COORDINATE CONVERSION
+// ============================================================
+
+/**
+ * Convert a point on the displayed page (u, v as 0..1 fractions from the
+ * top-left corner) into PDF user space
+ */
+export const displayToPdfPoint = (box, rotation, u, v) => {
+    const x0 = box.x;
+    const y0 = box.y;
+    const x1 = box.x + box.width;
+    const y1 = box.y + box.height;
+
+    switch (rotation) {
+        case 90:
+            return { x: x0 + v * box.width, y: y0 + u * box.height };
+        case 180:
+            return { x: x1 - u * box.width, y: y0 + v * box.height };
+        case 270:
+            return { x: x1 - v * box.width, y: y1 - u * box.height };
+        default:
+            return { x: x0 + u * box.width, y: y1 - v * box.height };
+    }
+};
+
+/**
+ * Convert a PDF user space point into display fractions (u, v)
+ */
+export const pdfToDisplayPoint = (box, rotation, x, y) => {
+    const x0 = box.x;
+    const y0 = box.y;
+    const x1 = box.x + box.width;
+    const y1 = box.y + box.height;
+
+    switch (rotation) {
+        case 90:
+            return { u: (y - y0) / box.height, v: (x - x0) / box.width };
+        case 180:
+            return { u: (x1 - x) / box.width, v: (y - y0) / box.height };
+        case 270:
+            return { u: (y1 - y) / box.height, v: (x1 - x) / box.width };
+        default:
+            return { u: (x - x0) / box.width, v: (y1 - y) / box.height };
+    }
+};
+
+/**
+ * Move from a user space point by (dx, dy) measured along the upright
+ * (displayed) axes of a rotated page
+ */
+export const offsetInRotatedFrame = (point, rotation, dx, dy) => {
+    const radians = (rotation * Math.PI) / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+    return {
+        x: point.x + dx * cos - dy * sin,
+        y: point.y + dx * sin + dy * cos
+    };
+};
+
+/**
+ * Resolve where a field lands on a PDF page.
+ *
+ * Returns the anchor (bottom-left corner of the upright box, in user space)
+ * and rotation to draw with, plus the axis-aligned rectangle it covers.
+ */
+export const getFieldPlacement = (field, box, rotation) => {
+    const displaySize = getDisplaySize(box, rotation);
+    const { width, height } = getFieldBoxSize(field);
+
+    // Stored percentages are measured at the field's center
+    const centerU = field.xPercent / 100;
+    const centerV = field.yPercent / 100;
+    const halfU = width / 2 / displaySize.width;
+    const halfV = height / 2 / displaySize.height;
+
+    const anchor = displayToPdfPoint(box, rotation, centerU - halfU, centerV + halfV);
+    const opposite = displayToPdfPoint(box, rotation, centerU + halfU, centerV - halfV);
+
+    return {
+        anchor,
+        rotation,
+        width,
+        height,
+        rect: {
+            x: Math.min(anchor.x, opposite.x),
+            y: Math.min(anchor.y, opposite.y),
+            width: Math.abs(opposite.x - anchor.x),
+            height: Math.abs(opposite.y - anchor.y)
+        }
+    };
+};
@@ -0,0 +1,220 @@
+/**
+ * PDF Incremental Update
+ *
+ * Saves changes to a PDF by appending them after the original bytes instead
+ * of rewriting the file. Earlier revisions - and the digital signatures that
+ * cover them - stay byte for byte as they were, so a signed document can be
+ * filled in and counter-signed.
+ *
+ * The document is loaded with loadForIncrementalUpdate and edited through
+ * pdf-lib as usual. save() appends every object created or changed since
+ * loading, with a cross-reference section of the same kind as the previous
+ * one: a table, or a stream for PDF 1.5+ files.
+ */
+
+import { PDFArray, PDFDocument, PDFName, PDFRawStream } from "pdf-lib";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Encode ASCII text (PDF syntax) into a buffer, returning the number of bytes written
+ */
+const copyText = (text, buffer, offset) => {
+    buffer.set(new TextEncoder().encode(text), offset);
+    return text.length;
+};
+
+/**
+ * Serialize a pdf-lib object, optionally as an indirect object ('n g obj ... endobj')
+ */
+const serializeObject = (object, ref = null) => {
+    const header = ref ? `${ref.objectNumber} ${ref.generationNumber} obj\n` : "";
+    const footer = ref ? "\nendobj\n" : "\n";
+    const bytes = new Uint8Array(header.length + object.sizeInBytes() + footer.length);
+    let offset = copyText(header, bytes, 0);
+    offset += object.copyBytesInto(bytes, offset);
+    copyText(footer, bytes, offset);
+    return bytes;
+};
+
+/**
+ * What an object looked like when loaded. Stream data isn't copied: pdf-lib
+ * replaces it rather than editing it, so the same data array means unchanged.
+ */
+const fingerprintObject = object =>
+    object instanceof PDFRawStream
+        ? { text: object.dict.toString(), contents: object.contents }
+        : { text: object.toString(), contents: null };
+
+const hasChanged = (object, fingerprint) =>
+    object instanceof PDFRawStream
+        ? object.contents !== fingerprint.contents || object.dict.toString() !== fingerprint.text
+        : object.toString() !== fingerprint.text;
+
+/**
+ * Offset of the last cross-reference section, whether it is a stream (PDF 1.5+)
+ * or a table, and the /Size of its trailer (the next free object number)
+ */
+const findPreviousCrossReference = pdfBytes => {
+    const tail = new TextDecoder("latin1").decode(pdfBytes.subarray(Math.max(0, pdfBytes.length - 2048)));
+    const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+    if (matches.length === 0) {
+        throw new Error("The document has no cross-reference offset (startxref)");
+    }
+
+    const offset = Number(matches[matches.length - 1][1]);
+    const section = new TextDecoder("latin1").decode(pdfBytes.subarray(offset));
+    const size = Number(/\/Size\s+(\d+)/.exec(section)?.[1]);
+    if (!size) {
+        throw new Error("The document's cross-reference section could not be read");
+    }
+    return { offset, isStream: !section.trimStart().startsWith("xref"), size };
+};
+
+/**
+ * Group cross-reference entries (sorted by object number) into consecutive runs
+ */
+const groupSubsections = entries =>
+    entries.reduce((subsections, entry) => {
+        const last = subsections[subsections.length - 1];
+        if (last && entry.ref.objectNumber === last.start + last.entries.length) {
+            last.entries.push(entry);
+        } else {
+            subsections.push({ start: entry.ref.objectNumber, entries: [entry] });
+        }
+        return subsections;
+    }, []);
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Append the objects created or changed since loading (per `fingerprints`)
+ * to the original bytes, whose last cross-reference section is `previous`
+ */
+const writeIncrementalUpdate = (originalBytes, pdfDoc, previous, fingerprints) => {
+    const { context } = pdfDoc;
+
+    const refs = context
+        .enumerateIndirectObjects()
+        .filter(([ref, object]) => !fingerprints.has(ref.tag) || hasChanged(object, fingerprints.get(ref.tag)))
+        .map(([ref]) => ref)
+        .sort((a, b) => a.objectNumber - b.objectNumber);
+
+    const separator = originalBytes[originalBytes.length - 1] === 0x0a ? "" : "\n";
+    const parts = [new TextEncoder().encode(separator)];
+    let offset = originalBytes.length + separator.length;
+
+    const entries = refs.map(ref => {
+        const bytes = serializeObject(context.lookup(ref), ref);
+        parts.push(bytes);
+        const entry = { ref, offset };
+        offset += bytes.length;
+        return entry;
+    });
+
+    const { Root, Info, ID } = context.trailerInfo;
+    const trailer = {
+        Root,
+        ...(Info ? { Info } : {}),
+        ...(ID ? { ID } : {}),
+        Prev: previous.offset
+    };
+    const crossReferenceOffset = offset;
+
+    if (previous.isStream) {
+        // Entries are type 1 (in use), a 4-byte offset and a 2-byte generation; the stream lists itself too
+        const streamRef = context.nextRef();
+        entries.push({ ref: streamRef, offset: crossReferenceOffset });
+        const subsections = groupSubsections(entries);
+
+        const contents = new Uint8Array(entries.length * 7);
+        entries.forEach(({ ref, offset: entryOffset }, index) => {
+            const view = new DataView(contents.buffer, index * 7, 7);
+            view.setUint8(0, 1);
+            view.setUint32(1, entryOffset);
+            view.setUint16(5, ref.generationNumber);
+        });
+
+        const dict = context.obj({
+            Type: "XRef",
+            Size: context.largestObjectNumber + 1,
+            W: [1, 4, 2],
+            Index: subsections.flatMap(subsection => [subsection.start, subsection.entries.length]),
+            ...trailer
+        });
+        parts.push(serializeObject(PDFRawStream.of(dict, contents), streamRef));
+    } else {
+        const table = groupSubsections(entries)
+            .map(
+                subsection =>
+                    `${subsection.start} ${subsection.entries.length}\n` +
+                    subsection.entries
+                        .map(
+                            ({ ref, offset: entryOffset }) =>
+                                `${String(entryOffset).padStart(10, "0")} ${String(ref.generationNumber).padStart(
+                                    5,
+                                    "0"
+                                )} n\r\n`
+                        )
+                        .join("")
+            )
+            .join("");
+        parts.push(new TextEncoder().encode(`xref\n${table}trailer\n`));
+        parts.push(serializeObject(context.obj({ Size: context.largestObjectNumber + 1, ...trailer })));
+    }
+    parts.push(new TextEncoder().encode(`startxref\n${crossReferenceOffset}\n%%EOF\n`));
+
+    const output = new Uint8Array(parts.reduce((length, part) => length + part.length, originalBytes.length));
+    output.set(originalBytes, 0);
+    parts.reduce((position, part) => {
+        output.set(part, position);
+        return position + part.length;
+    }, originalBytes.length);
+    return output;
+};
+
+/**
+ * Add an annotation to a page. pdf-lib's page.node.addAnnot isn't used: it
+ * normalizes the page, which rewrites its content streams.
+ */
+export const addPageAnnotation = (page, annotationRef) => {
+    const annots = page.node.lookup(PDFName.of("Annots"));
+    if (annots instanceof PDFArray) {
+        annots.push(annotationRef);
+    } else {
+        page.node.set(PDFName.of("Annots"), page.doc.context.obj([annotationRef]));
+    }
+};
+
+/**
+ * Load a PDF to be changed by an incremental update.
+ * Resolves to { pdfDoc, save }; save() flushes pending embeds (fonts,
+ * images) and resolves to the original bytes with the changes appended.
+ */
+export const loadForIncrementalUpdate = async pdfBytes => {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+    const { context } = pdfDoc;
+    if (context.trailerInfo.Encrypt) {
+        throw new Error("Encrypted documents cannot be digitally signed");
+    }
+
+    // pdf-lib doesn't register cross-reference streams, so new objects are numbered from the trailer's /Size
+    const previous = findPreviousCrossReference(pdfBytes);
+    context.largestObjectNumber = Math.max(context.largestObjectNumber, previous.size - 1);
+
+    const fingerprints = new Map(
+        context.enumerateIndirectObjects().map(([ref, object]) => [ref.tag, fingerprintObject(object)])
+    );
+
+    return {
+        pdfDoc,
+        save: async () => {
+            await pdfDoc.flush();
+            return writeIncrementalUpdate(pdfBytes, pdfDoc, previous, fingerprints);
+        }
+    };
+};
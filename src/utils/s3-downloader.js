@@ -52,11 +52,93 @@ export const encodeS3Key = (key) => {
     return encodedParts.join('/');
 };
 
+/**
+ * Strict RFC 3986 encoding used by AWS for query string parameters
+ */
+export const encodeRfc3986 = (value) => {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+};
+
+/**
+ * Build a canonical (sorted, RFC 3986 encoded) query string
+ */
+export const buildCanonicalQueryString = (params = {}) => {
+    return Object.keys(params)
+        .sort()
+        .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(params[key] ?? '')}`)
+        .join('&');
+};
+
+/**
+ * Resolve where requests for a bucket are sent
+ *
+ * `config.endpoint` replaces the AWS endpoint for S3-compatible stores
+ * (MinIO, Ceph, LocalStack, Wasabi) and may use http for local development.
+ * Path-style addressing (host/bucket/key) is used when `config.forcePathStyle`
+ * is set, or when the bucket name contains dots, which breaks TLS
+ * certificate matching for virtual-hosted style.
+ */
+export const resolveS3Endpoint = (config, bucketName) => {
+    let protocol = 'https:';
+    let host = `s3.${config.region}.amazonaws.com`;
+    let basePath = '';
+
+    if (config.endpoint) {
+        const endpointUrl = new URL(config.endpoint.includes('://') ? config.endpoint : `https://${config.endpoint}`);
+        protocol = endpointUrl.protocol;
+        host = endpointUrl.host;
+        basePath = endpointUrl.pathname.replace(/\/+$/, '');
+    }
+
+    const usePathStyle = Boolean(config.forcePathStyle) || bucketName.includes('.');
+
+    if (usePathStyle) {
+        return {
+            origin: `${protocol}//${host}`,
+            host,
+            pathPrefix: `${basePath}/${encodeRfc3986(bucketName)}`
+        };
+    }
+
+    return {
+        origin: `${protocol}//${bucketName}.${host}`,
+        host: `${bucketName}.${host}`,
+        pathPrefix: basePath
+    };
+};
+
+/**
+ * Build the canonical URI path for an object (or the bucket root when fileName is empty)
+ */
+export const buildCanonicalUri = (config, bucketName, fileName) => {
+    const { pathPrefix } = resolveS3Endpoint(config, bucketName);
+    return `${pathPrefix}/${fileName ? encodeS3Key(fileName) : ''}`;
+};
+
+/**
+ * Build the full URL for an object, including any sub-resource query parameters
+ */
+export const buildObjectUrl = (config, bucketName, fileName, query = {}) => {
+    const { origin } = resolveS3Endpoint(config, bucketName);
+    const url = `${origin}${buildCanonicalUri(config, bucketName, fileName)}`;
+    const queryString = buildCanonicalQueryString(query);
+    return queryString ? `${url}?${queryString}` : url;
+};
+
+// Offset between the S3 server clock and the local clock, learned from
+// RequestTimeTooSkewed responses so later requests are signed with server time
+let clockOffsetMs = 0;
+
+/**
+ * Get the current clock offset applied when signing (milliseconds)
+ */
+export const getClockOffset = () => clockOffsetMs;
+
 /**
  * Generate AWS-formatted date strings
  */
 export const getAmzDateStrings = () => {
-    const now = new Date();
+    const now = new Date(Date.now() + clockOffsetMs);
     const amzDate = now.toISOString()
         .replace(/[:-]/g, '')
         .replace(/\.\d{3}/, '');
@@ -82,10 +164,10 @@ export const createSigningKey = (secretKey, dateStamp, region, service) => {
 // ============================================================
 
 /**
- * Create AWS Signature V4 presigned URL
+ * Create AWS Signature V4 presigned URL (for a specific object version when versionId is given)
  */
-export const createPresignedUrl = (config, bucketName, fileName, expirationSeconds = 3600) => {
-    const { accessKey, secretKey, region } = config;
+export const createPresignedUrl = (config, bucketName, fileName, expirationSeconds = 3600, versionId = null) => {
+    const { accessKey, secretKey, region, sessionToken } = config;
     
     console.log('🔗 Creating presigned URL with enhanced encoding');
     console.log('Original fileName:', fileName);
@@ -93,28 +175,37 @@ export const createPresignedUrl = (config, bucketName, fileName, expirationSecon
     const method = 'GET';
     const service = 's3';
     const algorithm = 'AWS4-HMAC-SHA256';
-    const endpoint = `https://${bucketName}.s3.${region}.amazonaws.com`;
+    const { origin, host } = resolveS3Endpoint(config, bucketName);
     
     // Use enhanced encoding function
-    const encodedKey = encodeS3Key(fileName);
-    const canonicalUri = `/${encodedKey}`;
+    const canonicalUri = buildCanonicalUri(config, bucketName, fileName);
     
-    console.log('Enhanced encoded key:', encodedKey);
+    console.log('Enhanced encoded key:', canonicalUri);
     
     const { amzDate, dateStamp } = getAmzDateStrings();
     const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
     
     // Build query parameters
-    const queryParams = new URLSearchParams();
-    queryParams.set('X-Amz-Algorithm', algorithm);
-    queryParams.set('X-Amz-Credential', `${accessKey}/${credentialScope}`);
-    queryParams.set('X-Amz-Date', amzDate);
-    queryParams.set('X-Amz-Expires', expirationSeconds.toString());
-    queryParams.set('X-Amz-SignedHeaders', 'host');
+    const queryParams = {
+        'X-Amz-Algorithm': algorithm,
+        'X-Amz-Credential': `${accessKey}/${credentialScope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': expirationSeconds.toString(),
+        'X-Amz-SignedHeaders': 'host'
+    };
+    
+    // Temporary (STS) credentials must send their session token
+    if (sessionToken) {
+        queryParams['X-Amz-Security-Token'] = sessionToken;
+    }
+
+    if (versionId) {
+        queryParams.versionId = versionId;
+    }
     
     // Build canonical request
-    const canonicalQuerystring = queryParams.toString();
-    const canonicalHeaders = `host:${bucketName}.s3.${region}.amazonaws.com\n`;
+    const canonicalQuerystring = buildCanonicalQueryString(queryParams);
+    const canonicalHeaders = `host:${host}\n`;
     const signedHeaders = 'host';
     const payloadHash = 'UNSIGNED-PAYLOAD';
     
@@ -140,9 +231,7 @@ export const createPresignedUrl = (config, bucketName, fileName, expirationSecon
     const signature = CryptoJS.HmacSHA256(stringToSign, signingKey).toString();
     
     // Build final URL
-    queryParams.set('X-Amz-Signature', signature);
-    
-    const presignedUrl = `${endpoint}${canonicalUri}?${queryParams.toString()}`;
+    const presignedUrl = `${origin}${canonicalUri}?${canonicalQuerystring}&X-Amz-Signature=${signature}`;
     
     console.log('🔗 Generated presigned URL (length:', presignedUrl.length, ')');
     
@@ -151,9 +240,13 @@ export const createPresignedUrl = (config, bucketName, fileName, expirationSecon
 
 /**
  * Create signed headers for direct requests
+ *
+ * Options allow signing other methods and sub-resources (e.g. multipart
+ * upload parameters); the payload is left unsigned, which S3 accepts over HTTPS.
  */
-export const createSignedHeaders = (config, bucketName, fileName) => {
-    const { accessKey, secretKey, region } = config;
+export const createSignedHeaders = (config, bucketName, fileName, options = {}) => {
+    const { accessKey, secretKey, region, sessionToken } = config;
+    const { method = 'GET', query = {}, payloadHash = 'UNSIGNED-PAYLOAD' } = options;
     
     const { amzDate, dateStamp } = getAmzDateStrings();
     
@@ -161,19 +254,23 @@ export const createSignedHeaders = (config, bucketName, fileName) => {
     const credentialScope = `${dateStamp}/${region}/s3/aws4_request`;
     const credential = `${accessKey}/${credentialScope}`;
     
-    const canonicalHeaders = `host:${bucketName}.s3.${region}.amazonaws.com\nx-amz-date:${amzDate}\n`;
-    const signedHeaders = 'host;x-amz-date';
+    const { host } = resolveS3Endpoint(config, bucketName);
+    let canonicalHeaders = `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+    let signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
     
-    // Use enhanced encoding function
-    const encodedFileName = encodeS3Key(fileName);
+    // Temporary (STS) credentials must sign their session token
+    if (sessionToken) {
+        canonicalHeaders += `x-amz-security-token:${sessionToken}\n`;
+        signedHeaders += ';x-amz-security-token';
+    }
     
     const canonicalRequest = [
-        'GET',
-        `/${encodedFileName}`,
-        '',
+        method,
+        buildCanonicalUri(config, bucketName, fileName),
+        buildCanonicalQueryString(query),
         canonicalHeaders,
         signedHeaders,
-        'UNSIGNED-PAYLOAD'
+        payloadHash
     ].join('\n');
 
     const stringToSign = [
@@ -187,124 +284,346 @@ export const createSignedHeaders = (config, bucketName, fileName) => {
     const signingKey = createSigningKey(secretKey, dateStamp, region, 's3');
     const signature = CryptoJS.HmacSHA256(stringToSign, signingKey).toString();
     
-    return {
+    const headers = {
         'Authorization': `${algorithm} Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
         'X-Amz-Date': amzDate,
-        'X-Amz-Content-Sha256': 'UNSIGNED-PAYLOAD'
+        'X-Amz-Content-Sha256': payloadHash
     };
+    
+    if (sessionToken) {
+        headers['X-Amz-Security-Token'] = sessionToken;
+    }
+    
+    return headers;
+};
+
+/**
+ * Check whether an error was caused by an aborted request
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+    }
+    let timeoutId = null;
+    const handleAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+// Throttling and transient server errors worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 20000;
+
+/**
+ * Exponential backoff with full jitter
+ */
+const getBackoffDelay = (attempt) => {
+    const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Read the Retry-After header (seconds or HTTP date) as a delay in milliseconds
+ */
+const getRetryAfterDelay = (response) => {
+    const retryAfter = response.headers.get('Retry-After');
+    if (!retryAfter) return null;
+
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Detect a RequestTimeTooSkewed error and return the server time, if any.
+ * S3 puts ServerTime in the error body; the Date header is used as fallback
+ * (readable only when the bucket CORS configuration exposes it).
+ */
+const readSkewedServerTime = async (response) => {
+    if (response.status !== 403 && response.status !== 400) return null;
+
+    const body = await response.clone().text().catch(() => '');
+    if (!body.includes('RequestTimeTooSkewed')) return null;
+
+    const serverTime = body.match(/<ServerTime>([^<]+)<\/ServerTime>/)?.[1] || response.headers.get('Date');
+    const parsed = serverTime ? Date.parse(serverTime) : NaN;
+    return Number.isNaN(parsed) ? null : parsed;
 };
 
 /**
  * Fetch with automatic retry and exponential backoff
+ *
+ * Retries network errors and retryable status codes (429, 5xx), honouring
+ * Retry-After. Pass `options.signal` to cancel; aborted requests are never
+ * retried. When `url` is a function it is called before every attempt and
+ * must return `{ url, options }`, which lets signed requests be re-signed
+ * after a clock skew correction.
  */
 export const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
+    const isResignable = typeof url === 'function';
+    const buildRequest = isResignable ? url : () => ({ url, options });
     let lastError;
+    let hasCorrectedSkew = false;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const request = buildRequest();
+        const signal = request.options?.signal;
+        let response;
+
         try {
-            const response = await fetch(url, options);
-            return response;
+            response = await fetch(request.url, request.options);
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+
             lastError = error;
             console.warn(`Fetch attempt ${attempt}/${maxRetries} failed:`, error.message);
             
             if (attempt < maxRetries) {
-                // Exponential backoff
-                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+                await sleep(getBackoffDelay(attempt), signal);
             }
+            continue;
+        }
+
+        // Wrong local clock: adopt the server time and re-sign once
+        if (isResignable && !hasCorrectedSkew) {
+            const serverTime = await readSkewedServerTime(response);
+            if (serverTime) {
+                clockOffsetMs = serverTime - Date.now();
+                hasCorrectedSkew = true;
+                console.warn(`⏰ Clock skew detected, re-signing with offset ${clockOffsetMs}ms`);
+                attempt--; // The corrected request doesn't count as a retry
+                continue;
+            }
+        }
+
+        if (RETRYABLE_STATUS_CODES.includes(response.status) && attempt < maxRetries) {
+            const delay = getRetryAfterDelay(response) ?? getBackoffDelay(attempt);
+            console.warn(`Fetch attempt ${attempt}/${maxRetries} returned ${response.status}, retrying in ${delay}ms`);
+            await sleep(delay, signal);
+            continue;
         }
+
+        return response;
     }
     
     throw lastError;
 };
 
+// Minimum time between streamed progress callbacks
+const PROGRESS_INTERVAL_MS = 100;
+
 /**
- * Download file from S3 using presigned URL (primary method)
+ * Build transfer statistics for progress reporting
  */
-const downloadWithPresignedUrl = async (config, bucketName, fileName, onProgress) => {
-    if (onProgress) onProgress(20, 'Creating pre-signed URL...', null);
+const createTransferStats = (loaded, total, startedAt) => {
+    const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    const bytesPerSecond = loaded / elapsedSeconds;
+    return {
+        loaded,
+        total,
+        bytesPerSecond,
+        etaSeconds: total && bytesPerSecond > 0 ? Math.max(total - loaded, 0) / bytesPerSecond : null
+    };
+};
 
-    const signedUrl = createPresignedUrl(config, bucketName, fileName);
-    
-    if (onProgress) onProgress(40, 'Downloading via pre-signed URL...', signedUrl);
+/**
+ * Read a response body as a stream, reporting byte-based progress.
+ * `onTransfer(fraction, stats)` receives the completed fraction (null when
+ * Content-Length is unknown) and transfer statistics.
+ */
+export const readResponseBody = async (response, onTransfer) => {
+    const total = Number(response.headers.get('Content-Length')) || 0;
 
-    const response = await fetchWithRetry(signedUrl, {
-        method: 'GET',
-        mode: 'cors',
-        headers: {
-            'Accept': 'application/pdf,*/*'
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    const reader = response.body.getReader();
+    const startedAt = Date.now();
+    let lastReportAt = 0;
+    let loaded = 0;
+
+    // Write straight into one buffer when the size is known; collect chunks otherwise
+    let buffer = total ? new Uint8Array(total) : null;
+    let chunks = [];
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        if (buffer && loaded + value.length <= buffer.length) {
+            buffer.set(value, loaded);
+        } else {
+            if (buffer) {
+                chunks = [buffer.subarray(0, loaded)];
+                buffer = null;
+            }
+            chunks.push(value);
         }
-    });
+        loaded += value.length;
 
-    if (!response.ok) {
-        throw new Error(`Pre-signed URL download failed: ${response.status} ${response.statusText}`);
+        const now = Date.now();
+        if (onTransfer && now - lastReportAt >= PROGRESS_INTERVAL_MS) {
+            lastReportAt = now;
+            onTransfer(total ? Math.min(loaded / total, 1) : null, createTransferStats(loaded, total, startedAt));
+        }
+    }
+
+    if (onTransfer) {
+        onTransfer(1, createTransferStats(loaded, loaded, startedAt));
     }
 
-    if (onProgress) onProgress(80, 'Processing downloaded data...', signedUrl);
+    if (buffer) {
+        return loaded === buffer.length ? buffer : buffer.subarray(0, loaded);
+    }
+
+    const result = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+};
+
+/**
+ * Read a download response into memory (shared by all download methods)
+ */
+export const readDocumentResponse = async (response, url, label, onProgress) => {
+    // Conditional request matched the cached ETag
+    if (response.status === 304) {
+        if (onProgress) onProgress(100, 'Document unchanged, using cached copy', url);
+        return {
+            notModified: true,
+            etag: response.headers.get('ETag'),
+            versionId: response.headers.get('x-amz-version-id'),
+            presignedUrl: url
+        };
+    }
+
+    if (!response.ok) {
+        // Keep the S3 error code (e.g. SlowDown, RequestTimeTooSkewed) for troubleshooting
+        const body = await response.text().catch(() => '');
+        const code = body.match(/<Code>([^<]+)<\/Code>/)?.[1];
+        throw new Error(`${label} download failed: ${response.status} ${response.statusText}${code ? ` (${code})` : ''}`);
+    }
 
-    const arrayBuffer = await response.arrayBuffer();
+    // Transfer progress is reported between 40% and 90%
+    const buffer = await readResponseBody(response, (fraction, transfer) => {
+        if (!onProgress) return;
+        const progress = fraction === null ? 40 : 40 + Math.round(fraction * 50);
+        onProgress(progress, 'Downloading document...', url, transfer);
+    });
     
-    if (onProgress) onProgress(100, 'Download completed', signedUrl);
+    if (onProgress) onProgress(100, 'Download completed', url);
 
     return {
-        buffer: new Uint8Array(arrayBuffer),
+        buffer,
         contentType: response.headers.get('Content-Type') || 'application/pdf',
-        size: arrayBuffer.byteLength,
-        presignedUrl: signedUrl
+        size: buffer.byteLength,
+        etag: response.headers.get('ETag'),
+        versionId: response.headers.get('x-amz-version-id'),
+        presignedUrl: url
     };
 };
 
 /**
- * Download file using direct signing (fallback method)
+ * Build request headers for a download, adding If-None-Match for revalidation
  */
-const downloadWithDirectSigning = async (config, bucketName, fileName, onProgress) => {
-    if (onProgress) onProgress(20, 'Creating direct signed request...', null);
+const buildDownloadHeaders = (ifNoneMatch, headers = {}) => ({
+    ...headers,
+    'Accept': 'application/pdf,*/*',
+    ...(ifNoneMatch ? { 'If-None-Match': ifNoneMatch } : {})
+});
+
+/**
+ * Download file from S3 using presigned URL (primary method)
+ */
+const downloadWithPresignedUrl = async (config, bucketName, fileName, onProgress, { signal, ifNoneMatch, versionId } = {}) => {
+    if (onProgress) onProgress(20, 'Creating pre-signed URL...', null);
 
-    const encodedFileName = encodeS3Key(fileName);
-    const url = `https://${bucketName}.s3.${config.region}.amazonaws.com/${encodedFileName}`;
-    const signedHeaders = createSignedHeaders(config, bucketName, fileName);
+    let signedUrl = createPresignedUrl(config, bucketName, fileName, 3600, versionId);
     
-    if (onProgress) onProgress(40, 'Downloading with signed headers...', url);
+    if (onProgress) onProgress(40, 'Downloading via pre-signed URL...', signedUrl);
 
-    const response = await fetchWithRetry(url, {
-        method: 'GET',
-        mode: 'cors',
-        headers: {
-            ...signedHeaders,
-            'Accept': 'application/pdf,*/*'
+    let isFirstAttempt = true;
+    const response = await fetchWithRetry(() => {
+        // Re-sign on retries so a corrected clock offset takes effect
+        if (!isFirstAttempt) {
+            signedUrl = createPresignedUrl(config, bucketName, fileName, 3600, versionId);
         }
+        isFirstAttempt = false;
+
+        return {
+            url: signedUrl,
+            options: {
+                method: 'GET',
+                mode: 'cors',
+                signal,
+                headers: buildDownloadHeaders(ifNoneMatch)
+            }
+        };
     });
 
-    if (!response.ok) {
-        throw new Error(`Direct signed download failed: ${response.status} ${response.statusText}`);
-    }
+    return readDocumentResponse(response, signedUrl, 'Pre-signed URL', onProgress);
+};
 
-    if (onProgress) onProgress(80, 'Processing downloaded data...', url);
+/**
+ * Download file using direct signing (fallback method)
+ */
+const downloadWithDirectSigning = async (config, bucketName, fileName, onProgress, { signal, ifNoneMatch, versionId } = {}) => {
+    if (onProgress) onProgress(20, 'Creating direct signed request...', null);
 
-    const arrayBuffer = await response.arrayBuffer();
+    const query = versionId ? { versionId } : {};
+    const url = buildObjectUrl(config, bucketName, fileName, query);
     
-    if (onProgress) onProgress(100, 'Download completed', url);
+    if (onProgress) onProgress(40, 'Downloading with signed headers...', url);
 
-    return {
-        buffer: new Uint8Array(arrayBuffer),
-        contentType: response.headers.get('Content-Type') || 'application/pdf',
-        size: arrayBuffer.byteLength,
-        presignedUrl: url
-    };
+    // Headers are signed per attempt so a corrected clock offset takes effect
+    const response = await fetchWithRetry(() => ({
+        url,
+        options: {
+            method: 'GET',
+            mode: 'cors',
+            signal,
+            headers: buildDownloadHeaders(ifNoneMatch, createSignedHeaders(config, bucketName, fileName, { query }))
+        }
+    }));
+
+    return readDocumentResponse(response, url, 'Direct signed', onProgress);
 };
 
 /**
  * Download file from S3 with multiple strategies (like PDF Annotations)
+ *
+ * Pass `options.signal` (AbortSignal) to cancel the download, and
+ * `options.ifNoneMatch` (an ETag) to revalidate a cached copy; an unchanged
+ * object resolves to `{ notModified: true }`.
  */
-export const downloadFromS3 = async (config, bucketName, fileName, onProgress) => {
-    console.log(`🔐 Downloading from private S3: s3://${bucketName}/${fileName}`);
+export const downloadFromS3 = async (config, bucketName, fileName, onProgress, options = {}) => {
+    console.log(`🔐 Downloading from private S3: s3://${bucketName}/${fileName}${options.versionId ? ` (version ${options.versionId})` : ''}`);
     
     if (onProgress) onProgress(5, 'Initializing download...', null);
 
     // Try multiple download strategies (like PDF Annotations widget)
     const strategies = [
-        { name: 'presigned', fn: () => downloadWithPresignedUrl(config, bucketName, fileName, onProgress) },
-        { name: 'direct', fn: () => downloadWithDirectSigning(config, bucketName, fileName, onProgress) }
+        { name: 'presigned', fn: () => downloadWithPresignedUrl(config, bucketName, fileName, onProgress, options) },
+        { name: 'direct', fn: () => downloadWithDirectSigning(config, bucketName, fileName, onProgress, options) }
     ];
 
     let lastError = null;
@@ -317,6 +636,11 @@ export const downloadFromS3 = async (config, bucketName, fileName, onProgress) =
             console.log(`✅ Successfully downloaded using ${strategy.name} method`);
             return result;
         } catch (error) {
+            // A cancelled download must not fall through to the next strategy
+            if (isAbortError(error)) {
+                throw error;
+            }
+
             console.warn(`❌ ${strategy.name} method failed:`, error.message);
             lastError = error;
             
@@ -330,6 +654,87 @@ export const downloadFromS3 = async (config, bucketName, fileName, onProgress) =
     throw lastError || new Error('All download methods failed');
 };
 
+/**
+ * Download file using a presigned URL issued by the backend
+ *
+ * No AWS credentials are needed in the browser; the URL carries the signature.
+ */
+export const downloadFromPresignedUrl = async (presignedUrl, onProgress, options = {}) => {
+    if (onProgress) onProgress(5, 'Initializing download...', null);
+    if (onProgress) onProgress(40, 'Downloading via backend pre-signed URL...', presignedUrl);
+
+    const response = await fetchWithRetry(presignedUrl, {
+        method: 'GET',
+        mode: 'cors',
+        signal: options.signal,
+        headers: buildDownloadHeaders(options.ifNoneMatch)
+    });
+
+    return readDocumentResponse(response, presignedUrl, 'Backend pre-signed URL', onProgress);
+};
+
+/**
+ * Read the text of a direct child element of an S3 XML node
+ */
+const readChildText = (element, tagName) => {
+    const child = Array.from(element.children).find(node => node.localName === tagName);
+    return child ? child.textContent : null;
+};
+
+/**
+ * List the objects and sub-folders under a prefix with a signed ListObjectsV2 request.
+ * Returns one page of results; pass `continuationToken` to fetch the next page.
+ */
+export const listS3Objects = async (config, bucketName, { prefix = '', delimiter = '/', continuationToken = null, maxKeys = 1000, signal } = {}) => {
+    const query = {
+        'list-type': '2',
+        'max-keys': String(maxKeys),
+        ...(prefix ? { prefix } : {}),
+        ...(delimiter ? { delimiter } : {}),
+        ...(continuationToken ? { 'continuation-token': continuationToken } : {})
+    };
+    const url = buildObjectUrl(config, bucketName, '', query);
+
+    const response = await fetchWithRetry(() => ({
+        url,
+        options: {
+            method: 'GET',
+            mode: 'cors',
+            signal,
+            headers: createSignedHeaders(config, bucketName, '', { query })
+        }
+    }));
+
+    const body = await response.text();
+
+    if (!response.ok) {
+        const code = body.match(/<Code>([^<]+)<\/Code>/)?.[1];
+        throw new Error(`List objects failed: ${response.status} ${response.statusText}${code ? ` (${code})` : ''}`);
+    }
+
+    const root = new DOMParser().parseFromString(body, 'application/xml').documentElement;
+    const children = Array.from(root.children);
+
+    return {
+        prefix,
+        folders: children
+            .filter(node => node.localName === 'CommonPrefixes')
+            .map(node => readChildText(node, 'Prefix')),
+        objects: children
+            .filter(node => node.localName === 'Contents')
+            .map(node => ({
+                key: readChildText(node, 'Key'),
+                size: Number(readChildText(node, 'Size')) || 0,
+                lastModified: readChildText(node, 'LastModified'),
+                etag: readChildText(node, 'ETag')
+            }))
+            // The folder placeholder object itself ("folder/") isn't a document
+            .filter(object => object.key !== prefix),
+        isTruncated: readChildText(root, 'IsTruncated') === 'true',
+        nextContinuationToken: readChildText(root, 'NextContinuationToken')
+    };
+};
+
 /**
  * Test S3 connection
  */
@@ -353,7 +758,7 @@ export const testS3Connection = async (config, bucketName) => {
 
         // Method 2: Try direct request to bucket
         try {
-            const bucketUrl = `https://${bucketName}.s3.${config.region}.amazonaws.com/`;
+            const bucketUrl = buildObjectUrl(config, bucketName, '');
             const response = await fetch(bucketUrl, { method: 'HEAD', mode: 'cors' });
 
             if (response.status === 200 || response.status === 403) {
@@ -377,19 +782,30 @@ export const testS3Connection = async (config, bucketName) => {
 
 // Export as class for compatibility (like PDF Annotations widget)
 export class SecureS3Downloader {
-    constructor(accessKey, secretKey, region) {
-        this.config = { accessKey, secretKey, region };
+    constructor(accessKey, secretKey, region, sessionToken = null, endpointOptions = {}) {
+        this.config = {
+            accessKey,
+            secretKey,
+            region,
+            sessionToken,
+            endpoint: endpointOptions.endpoint || null,
+            forcePathStyle: Boolean(endpointOptions.forcePathStyle)
+        };
+    }
+
+    async downloadFile(bucketName, fileName, onProgress, options = {}) {
+        return downloadFromS3(this.config, bucketName, fileName, onProgress, options);
     }
 
-    async downloadFile(bucketName, fileName, onProgress) {
-        return downloadFromS3(this.config, bucketName, fileName, onProgress);
+    async listObjects(bucketName, options = {}) {
+        return listS3Objects(this.config, bucketName, options);
     }
 
     async testConnection(bucketName) {
         return testS3Connection(this.config, bucketName);
     }
 
-    generatePresignedUrl(bucketName, fileName, expirationSeconds = 3600) {
-        return createPresignedUrl(this.config, bucketName, fileName, expirationSeconds);
+    generatePresignedUrl(bucketName, fileName, expirationSeconds = 3600, versionId = null) {
+        return createPresignedUrl(this.config, bucketName, fileName, expirationSeconds, versionId);
     }
 }
\ No newline at end of file
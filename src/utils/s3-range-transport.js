@@ -0,0 +1,182 @@
+/**
+ * S3 Range Transport
+ *
+ * Feeds pdf.js through HTTP range requests instead of a full download, so the
+ * first page renders while the rest of a large document is still arriving.
+ * Ranges are fetched with signed (or presigned) GETs and pinned to the ETag
+ * of the first response, so a document replaced mid-load fails instead of
+ * mixing two versions.
+ */
+
+import { pdfjs } from "react-pdf";
+import {
+    buildObjectUrl,
+    createSignedHeaders,
+    fetchWithRetry,
+    readDocumentResponse,
+    isAbortError
+} from "./s3-downloader";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// Size of the first request; documents that fit are loaded in one go
+export const INITIAL_RANGE_SIZE = 256 * 1024;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Parse a Content-Range header ("bytes 0-65535/1234567")
+ */
+export const parseContentRange = header => {
+    const match = header && header.match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+    if (!match) return null;
+
+    return {
+        start: Number(match[1]),
+        end: Number(match[2]),
+        total: match[3] === "*" ? null : Number(match[3])
+    };
+};
+
+/**
+ * Build the headers for a range request (`end` is exclusive, like pdf.js)
+ */
+const buildRangeHeaders = (start, end, ifMatch, headers = {}) => ({
+    ...headers,
+    Range: `bytes=${start}-${end - 1}`,
+    ...(ifMatch ? { "If-Match": ifMatch } : {})
+});
+
+/**
+ * Create a range fetcher for an S3 object (or one version of it), signing every request
+ */
+export const createS3RangeFetcher = (config, bucketName, fileName, versionId = null) => {
+    const query = versionId ? { versionId } : {};
+    const url = buildObjectUrl(config, bucketName, fileName, query);
+
+    return (start, end, { signal, ifMatch } = {}) =>
+        fetchWithRetry(() => ({
+            url,
+            options: {
+                method: "GET",
+                mode: "cors",
+                signal,
+                headers: buildRangeHeaders(
+                    start,
+                    end,
+                    ifMatch,
+                    createSignedHeaders(config, bucketName, fileName, { query })
+                )
+            }
+        }));
+};
+
+/**
+ * Create a range fetcher for a plain URL or a backend-issued presigned GET URL
+ */
+export const createUrlRangeFetcher =
+    presignedUrl =>
+    (start, end, { signal, ifMatch } = {}) =>
+        fetchWithRetry(presignedUrl, {
+            method: "GET",
+            mode: "cors",
+            signal,
+            headers: buildRangeHeaders(start, end, ifMatch)
+        });
+
+// ============================================================
+// RANGE TRANSPORT
+// ============================================================
+
+/**
+ * pdf.js range transport backed by a range fetcher.
+ * pdf.js calls requestDataRange for the byte ranges it needs and abort()
+ * when the document is destroyed.
+ */
+export class S3RangeTransport extends pdfjs.PDFDataRangeTransport {
+    constructor(fetchRange, length, initialData, { etag = null, signal, onError } = {}) {
+        super(length, initialData);
+        this.fetchRange = fetchRange;
+        this.etag = etag;
+        this.onError = onError;
+        this.loadedBytes = initialData.length;
+        this.abortController = new AbortController();
+
+        if (signal) {
+            signal.addEventListener("abort", () => this.abortController.abort(), { once: true });
+        }
+    }
+
+    requestDataRange(begin, end) {
+        const { signal } = this.abortController;
+
+        this.fetchRange(begin, end, { signal, ifMatch: this.etag })
+            .then(async response => {
+                if (response.status === 412) {
+                    throw new Error(
+                        "Range download failed: 412 Precondition Failed (the document changed while loading)"
+                    );
+                }
+                if (response.status !== 206) {
+                    throw new Error(`Range download failed: ${response.status} ${response.statusText}`);
+                }
+
+                const chunk = new Uint8Array(await response.arrayBuffer());
+                if (signal.aborted) return;
+
+                this.loadedBytes += chunk.length;
+                this.onDataRange(begin, chunk);
+                this.onDataProgress(Math.min(this.loadedBytes, this.length), this.length);
+            })
+            .catch(error => {
+                if (isAbortError(error) || signal.aborted) return;
+                console.error(`❌ Range request ${begin}-${end} failed:`, error);
+                if (this.onError) this.onError(error);
+            });
+    }
+
+    abort() {
+        this.abortController.abort();
+    }
+}
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Open a document with an initial range request.
+ *
+ * Resolves to the usual download result plus `transport`: a range transport
+ * for pdf.js when the document is larger than the first range, or null when
+ * the whole document was returned (small file, or ranges not supported).
+ */
+export const openRangeDocument = async (fetchRange, label, { signal, onError } = {}) => {
+    const response = await fetchRange(0, INITIAL_RANGE_SIZE, { signal });
+    const contentRange = response.status === 206 ? parseContentRange(response.headers.get("Content-Range")) : null;
+
+    if (response.status === 206 && !contentRange?.total) {
+        throw new Error(
+            `${label} download failed: Content-Range header not readable (expose Content-Range in the bucket CORS configuration)`
+        );
+    }
+
+    const result = await readDocumentResponse(response, null, label);
+
+    // Server ignored the Range header, or the document fits in the first range
+    if (!contentRange || contentRange.total <= result.buffer.length) {
+        return { ...result, transport: null };
+    }
+
+    const transport = new S3RangeTransport(fetchRange, contentRange.total, result.buffer, {
+        etag: result.etag,
+        signal,
+        onError
+    });
+
+    return { ...result, size: contentRange.total, transport };
+};
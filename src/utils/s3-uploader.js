@@ -0,0 +1,297 @@
+/**
+ * S3 Secure Uploader
+ *
+ * Uploads files to private S3 buckets using AWS Signature V4.
+ * Small files go up in a single PUT; large files use multipart upload.
+ * Mirrors downloadFromS3 so the widget can report progress the same way.
+ */
+
+import { createSignedHeaders, buildObjectUrl, fetchWithRetry } from "./s3-downloader";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// S3 requires every part except the last to be at least 5 MB
+export const MULTIPART_THRESHOLD = 8 * 1024 * 1024;
+export const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Derive the key for the signed copy of a document ("a/contract.pdf" -> "a/contract-signed.pdf")
+ */
+export const getSignedFileName = fileName => {
+    const match = fileName.match(/^(.*?)(\.pdf)?$/i);
+    return `${match[1]}-signed${match[2] || ".pdf"}`;
+};
+
+/**
+ * Derive the key for the sidecar JSON stored next to a document
+ */
+export const getSidecarFileName = fileName => fileName.replace(/\.pdf$/i, "") + ".json";
+
+/**
+ * Send a signed request for an object sub-resource
+ */
+const sendSignedRequest = (config, bucketName, fileName, { method, query = {}, body, headers = {} }) => {
+    const url = buildObjectUrl(config, bucketName, fileName, query);
+
+    // Headers are signed per attempt so a corrected clock offset takes effect
+    return fetchWithRetry(() => ({
+        url,
+        options: {
+            method,
+            mode: "cors",
+            headers: {
+                ...createSignedHeaders(config, bucketName, fileName, { method, query }),
+                ...headers
+            },
+            body
+        }
+    }));
+};
+
+/**
+ * Decode the entities S3 uses in XML text (e.g. the quotes around an ETag)
+ */
+const unescapeXml = value =>
+    value
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+
+/**
+ * Read a single element value from an S3 XML response
+ */
+const readXmlValue = (xml, tagName) => {
+    const match = xml.match(new RegExp(`<${tagName}>([^<]*)</${tagName}>`));
+    return match ? unescapeXml(match[1]) : null;
+};
+
+/**
+ * Escape text for inclusion in an XML request body
+ */
+const escapeXml = value =>
+    String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Build an upload error that keeps the S3 status in the message
+ */
+const createUploadError = async (label, response) => {
+    const responseText = await response.text().catch(() => "");
+    const code = readXmlValue(responseText, "Code");
+    return new Error(`${label} failed: ${response.status} ${response.statusText}${code ? ` (${code})` : ""}`);
+};
+
+/**
+ * Normalize the upload body to a Blob so it can be sliced into parts
+ */
+const toBlob = (body, contentType) => {
+    if (body instanceof Blob) return body;
+    return new Blob([body], { type: contentType });
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Upload a file with a single signed PUT
+ */
+export const uploadWithSinglePut = async (config, bucketName, fileName, body, contentType, onProgress) => {
+    if (onProgress) onProgress(10, "Uploading file...", null);
+
+    const response = await sendSignedRequest(config, bucketName, fileName, {
+        method: "PUT",
+        body,
+        headers: { "Content-Type": contentType }
+    });
+
+    if (!response.ok) {
+        throw await createUploadError("Upload", response);
+    }
+
+    if (onProgress) onProgress(100, "Upload completed", null);
+
+    return {
+        key: fileName,
+        etag: response.headers.get("ETag"),
+        size: body.size ?? body.byteLength ?? body.length
+    };
+};
+
+/**
+ * Upload a file in parts using S3 multipart upload
+ */
+export const uploadWithMultipart = async (
+    config,
+    bucketName,
+    fileName,
+    body,
+    contentType,
+    onProgress,
+    partSize = MULTIPART_PART_SIZE
+) => {
+    const blob = toBlob(body, contentType);
+    const totalParts = Math.ceil(blob.size / partSize);
+
+    if (onProgress) onProgress(5, "Starting multipart upload...", null);
+
+    const createResponse = await sendSignedRequest(config, bucketName, fileName, {
+        method: "POST",
+        query: { uploads: "" },
+        headers: { "Content-Type": contentType }
+    });
+
+    if (!createResponse.ok) {
+        throw await createUploadError("Create multipart upload", createResponse);
+    }
+
+    const uploadId = readXmlValue(await createResponse.text(), "UploadId");
+    if (!uploadId) {
+        throw new Error("Create multipart upload failed: no UploadId returned");
+    }
+
+    try {
+        const parts = [];
+
+        for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+            const start = (partNumber - 1) * partSize;
+            const chunk = blob.slice(start, Math.min(start + partSize, blob.size));
+
+            const partResponse = await sendSignedRequest(config, bucketName, fileName, {
+                method: "PUT",
+                query: { partNumber: String(partNumber), uploadId },
+                body: chunk
+            });
+
+            if (!partResponse.ok) {
+                throw await createUploadError(`Upload part ${partNumber}`, partResponse);
+            }
+
+            const etag = partResponse.headers.get("ETag");
+            if (!etag) {
+                throw new Error(
+                    `Upload part ${partNumber} failed: ETag header not readable (expose ETag in the bucket CORS configuration)`
+                );
+            }
+
+            parts.push({ partNumber, etag });
+
+            if (onProgress) {
+                const progress = 5 + Math.round((partNumber / totalParts) * 85);
+                onProgress(progress, `Uploaded part ${partNumber} of ${totalParts}...`, null);
+            }
+        }
+
+        const completeBody = [
+            "<CompleteMultipartUpload>",
+            ...parts.map(
+                part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`
+            ),
+            "</CompleteMultipartUpload>"
+        ].join("");
+
+        if (onProgress) onProgress(95, "Completing multipart upload...", null);
+
+        const completeResponse = await sendSignedRequest(config, bucketName, fileName, {
+            method: "POST",
+            query: { uploadId },
+            body: completeBody,
+            headers: { "Content-Type": "application/xml" }
+        });
+
+        // S3 can report errors inside a 200 response for CompleteMultipartUpload
+        const completeText = await completeResponse.text();
+        if (!completeResponse.ok || readXmlValue(completeText, "Code")) {
+            throw new Error(
+                `Complete multipart upload failed: ${completeResponse.status} ${
+                    readXmlValue(completeText, "Code") || completeResponse.statusText
+                }`
+            );
+        }
+
+        if (onProgress) onProgress(100, "Upload completed", null);
+
+        return {
+            key: fileName,
+            etag: readXmlValue(completeText, "ETag"),
+            size: blob.size
+        };
+    } catch (error) {
+        console.warn(`❌ Multipart upload failed, aborting ${uploadId}:`, error.message);
+        await sendSignedRequest(config, bucketName, fileName, {
+            method: "DELETE",
+            query: { uploadId }
+        }).catch(abortError => console.warn("Abort multipart upload failed:", abortError.message));
+        throw error;
+    }
+};
+
+/**
+ * Upload a file using a presigned PUT URL issued by the backend.
+ * The URL must have been signed for the same Content-Type, if it signs one.
+ */
+export const uploadWithPresignedUrl = async (presignedUrl, body, contentType, onProgress) => {
+    if (onProgress) onProgress(10, "Uploading file...", null);
+
+    const response = await fetchWithRetry(presignedUrl, {
+        method: "PUT",
+        mode: "cors",
+        headers: { "Content-Type": contentType },
+        body
+    });
+
+    if (!response.ok) {
+        throw await createUploadError("Pre-signed URL upload", response);
+    }
+
+    if (onProgress) onProgress(100, "Upload completed", null);
+
+    return {
+        key: null,
+        etag: response.headers.get("ETag"),
+        size: body.size ?? body.byteLength ?? body.length
+    };
+};
+
+/**
+ * Upload a file to S3, choosing single PUT or multipart by size
+ */
+export const uploadToS3 = (
+    config,
+    bucketName,
+    fileName,
+    body,
+    contentType = "application/octet-stream",
+    onProgress
+) => {
+    const size = body.size ?? body.byteLength ?? body.length ?? 0;
+
+    return size > MULTIPART_THRESHOLD
+        ? uploadWithMultipart(config, bucketName, fileName, body, contentType, onProgress)
+        : uploadWithSinglePut(config, bucketName, fileName, body, contentType, onProgress);
+};
+
+// Export as class for compatibility with SecureS3Downloader
+export class SecureS3Uploader {
+    constructor(accessKey, secretKey, region, sessionToken = null, endpointOptions = {}) {
+        this.config = {
+            accessKey,
+            secretKey,
+            region,
+            sessionToken,
+            endpoint: endpointOptions.endpoint || null,
+            forcePathStyle: Boolean(endpointOptions.forcePathStyle)
+        };
+    }
+
+    uploadFile(bucketName, fileName, body, contentType, onProgress) {
+        return uploadToS3(this.config, bucketName, fileName, body, contentType, onProgress);
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * Signature Verifier
+ *
+ * Finds the digital signatures a PDF already carries and checks each one:
+ *
+ *   - the ByteRange is well formed and skips exactly the /Contents string
+ *   - the digest of the signed bytes matches the CMS message-digest
+ *   - the CMS signature verifies with the signer certificate's public key
+ *   - the signature covers the whole file, or later revisions were appended
+ *
+ * Results report the signer (certificate common name, or the /Name entry),
+ * the signing time (the signing-time attribute or /M, and the time of an
+ * RFC 3161 timestamp whose token verifies) and one of these statuses:
+ *
+ *   valid     intact and covering the whole document
+ *   modified  intact, but the document was changed after signing
+ *   invalid   the signed bytes or the signature don't verify
+ *   unknown   the signature format or algorithm isn't supported
+ *
+ * Whether the signer's or the TSA's certificate is trusted (chain, revocation)
+ * is not checked. RSA PKCS#1 v1.5 and ECDSA signatures are verified with WebCrypto.
+ */
+
+import forge from "node-forge";
+import { PDFDocument, PDFName, PDFSignature } from "pdf-lib";
+import { readTstInfo } from "./timestamp-client";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const SIGNATURE_STATUSES = {
+    VALID: "valid",
+    MODIFIED: "modified",
+    INVALID: "invalid",
+    UNKNOWN: "unknown"
+};
+
+// CMS-based SubFilters; adbe.x509.rsa_sha1 and adbe.pkcs7.sha1 are legacy and not verified
+const SUPPORTED_SUB_FILTERS = ["adbe.pkcs7.detached", "ETSI.CAdES.detached"];
+
+const HASH_ALGORITHMS = {
+    "1.3.14.3.2.26": "SHA-1",
+    "2.16.840.1.101.3.4.2.1": "SHA-256",
+    "2.16.840.1.101.3.4.2.2": "SHA-384",
+    "2.16.840.1.101.3.4.2.3": "SHA-512"
+};
+
+const NAMED_CURVES = {
+    "1.2.840.10045.3.1.7": { name: "P-256", size: 32 },
+    "1.3.132.0.34": { name: "P-384", size: 48 },
+    "1.3.132.0.35": { name: "P-521", size: 66 }
+};
+
+const OIDS = {
+    messageDigest: "1.2.840.113549.1.9.4",
+    signingTime: "1.2.840.113549.1.9.5",
+    signatureTimeStampToken: "1.2.840.113549.1.9.16.2.14",
+    commonName: "2.5.4.3",
+    rsaEncryption: "1.2.840.113549.1.1.1",
+    rsassaPss: "1.2.840.113549.1.1.10",
+    ecPublicKey: "1.2.840.10045.2.1"
+};
+
+const { asn1 } = forge;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const toBinaryString = bytes => forge.util.binary.raw.encode(bytes);
+const fromBinaryString = binary => forge.util.binary.raw.decode(binary);
+const toDer = node => asn1.toDer(node).getBytes();
+
+const isContextTag = (node, tag) => node && node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+
+/**
+ * Decode a PDF text string (PDFString or PDFHexString), or null
+ */
+const decodeText = value => {
+    try {
+        return value ? value.decodeText() : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parse a PDF date (the /M entry), or null when it isn't a valid date
+ */
+const decodeDate = value => {
+    try {
+        return value ? value.decodeDate() : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Decode an ASN.1 string value (UTF8String, PrintableString, ...)
+ */
+const decodeAsn1String = node => {
+    try {
+        return forge.util.decodeUtf8(node.value);
+    } catch (error) {
+        return node.value;
+    }
+};
+
+/**
+ * Concatenate the two byte ranges a signature covers
+ */
+const getSignedBytes = (pdfBytes, [start1, length1, start2, length2]) => {
+    const signedBytes = new Uint8Array(length1 + length2);
+    signedBytes.set(pdfBytes.subarray(start1, start1 + length1), 0);
+    signedBytes.set(pdfBytes.subarray(start2, start2 + length2), length1);
+    return signedBytes;
+};
+
+/**
+ * Describe what is wrong with a ByteRange, or return null when it is well formed
+ */
+const getByteRangeProblem = (byteRange, pdfBytes) => {
+    if (byteRange.length !== 4 || !byteRange.every(Number.isInteger)) return "malformed ByteRange";
+
+    const [start1, length1, start2, length2] = byteRange;
+    if (start1 !== 0 || length1 <= 0 || start2 <= length1 || length2 < 0) return "malformed ByteRange";
+    if (start2 + length2 > pdfBytes.length) return "ByteRange extends beyond the end of the file";
+
+    // The gap must be exactly the /Contents hex string
+    if (pdfBytes[length1] !== 0x3c || pdfBytes[start2 - 1] !== 0x3e) {
+        return "ByteRange does not skip the signature contents";
+    }
+
+    return null;
+};
+
+/**
+ * Parts of a certificate needed for verification and display
+ */
+const readCertificate = certificate => {
+    const tbs = certificate.value[0];
+    // Version is an optional [0] before the serial number
+    const offset = isContextTag(tbs.value[0], 0) ? 1 : 0;
+    const [serialNumber, , issuer, , subject, publicKeyInfo] = tbs.value.slice(offset);
+
+    let commonName = null;
+    subject.value.forEach(rdn =>
+        rdn.value.forEach(attribute => {
+            if (asn1.derToOid(attribute.value[0].value) === OIDS.commonName) {
+                commonName = decodeAsn1String(attribute.value[1]);
+            }
+        })
+    );
+
+    const keyAlgorithm = publicKeyInfo.value[0];
+    return {
+        serialNumber: serialNumber.value,
+        issuerDer: toDer(issuer),
+        commonName,
+        keyAlgorithm: asn1.derToOid(keyAlgorithm.value[0].value),
+        curve: keyAlgorithm.value[1]?.type === asn1.Type.OID ? asn1.derToOid(keyAlgorithm.value[1].value) : null,
+        publicKeyDer: fromBinaryString(toDer(publicKeyInfo))
+    };
+};
+
+/**
+ * Content bytes of an OCTET STRING, joining the segments of a constructed (BER) one
+ */
+const readOctetString = node =>
+    Array.isArray(node.value) ? node.value.map(segment => segment.value).join("") : node.value;
+
+/**
+ * Read the parts of a parsed CMS SignedData (ContentInfo) that verification needs
+ */
+const readSignedData = contentInfo => {
+    const signedData = contentInfo.value[1].value[0];
+
+    const certificates = (signedData.value.find(node => isContextTag(node, 0))?.value || [])
+        .filter(node => node.type === asn1.Type.SEQUENCE)
+        .map(readCertificate);
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+
+    // Encapsulated content is only present for attached signatures such as timestamp tokens
+    const eContent = signedData.value[2].value[1]?.value[0];
+
+    const [, signerId, digestAlgorithm, ...rest] = signerInfo.value;
+    const signedAttributes = isContextTag(rest[0], 0) ? rest.shift() : null;
+    const [signatureAlgorithm, signature, unsignedAttributes] = rest;
+
+    const findAttribute = (attributes, oid) =>
+        attributes?.value.find(attribute => asn1.derToOid(attribute.value[0].value) === oid)?.value[1].value[0];
+
+    // The signer is identified by issuer and serial number; fall back to the first certificate
+    const signerCertificate =
+        (signerId.type === asn1.Type.SEQUENCE &&
+            certificates.find(
+                certificate =>
+                    certificate.issuerDer === toDer(signerId.value[0]) &&
+                    certificate.serialNumber === signerId.value[1].value
+            )) ||
+        certificates[0];
+
+    const signingTime = findAttribute(signedAttributes, OIDS.signingTime);
+
+    return {
+        signerCertificate,
+        hashAlgorithm: HASH_ALGORITHMS[asn1.derToOid(digestAlgorithm.value[0].value)],
+        signatureAlgorithm: asn1.derToOid(signatureAlgorithm.value[0].value),
+        // Signed attributes are signed as a SET, not with their [0] tag
+        signedAttributesDer: signedAttributes
+            ? fromBinaryString(toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes.value)))
+            : null,
+        messageDigest: findAttribute(signedAttributes, OIDS.messageDigest)?.value,
+        signingTime: signingTime
+            ? signingTime.type === asn1.Type.UTCTIME
+                ? asn1.utcTimeToDate(signingTime.value)
+                : asn1.generalizedTimeToDate(signingTime.value)
+            : null,
+        timestampToken: findAttribute(unsignedAttributes, OIDS.signatureTimeStampToken) || null,
+        content: eContent ? fromBinaryString(readOctetString(eContent)) : null,
+        signature: fromBinaryString(signature.value)
+    };
+};
+
+/**
+ * Read the CMS SignedData of a signature's /Contents
+ */
+const readCms = contents => {
+    // /Contents is zero-padded after the DER
+    const contentInfo = asn1.fromDer(toBinaryString(contents), { parseAllBytes: false, decodeBitStrings: false });
+    return readSignedData(contentInfo);
+};
+
+/**
+ * Convert a DER ECDSA signature (SEQUENCE { r, s }) to the raw r || s WebCrypto expects
+ */
+const ecdsaSignatureToRaw = (signature, size) => {
+    const [r, s] = asn1.fromDer(toBinaryString(signature)).value;
+    const toFixed = integer => {
+        // DER integers may carry leading zero bytes; r and s are exactly `size` bytes each
+        let start = 0;
+        while (start < integer.value.length && integer.value.charCodeAt(start) === 0) start++;
+        return fromBinaryString(integer.value.slice(start).padStart(size, "\x00"));
+    };
+
+    const raw = new Uint8Array(size * 2);
+    raw.set(toFixed(r), 0);
+    raw.set(toFixed(s), size);
+    return raw;
+};
+
+/**
+ * Verify the CMS signature value with the signer's public key.
+ * Resolves to true or false, or null when the algorithm isn't supported.
+ */
+const verifySignatureValue = async (cms, signedData) => {
+    const { signerCertificate, hashAlgorithm, signature } = cms;
+
+    if (signerCertificate.keyAlgorithm === OIDS.rsaEncryption && cms.signatureAlgorithm !== OIDS.rsassaPss) {
+        const key = await crypto.subtle.importKey(
+            "spki",
+            signerCertificate.publicKeyDer,
+            { name: "RSASSA-PKCS1-v1_5", hash: hashAlgorithm },
+            false,
+            ["verify"]
+        );
+        return crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, signature, signedData);
+    }
+
+    const curve = NAMED_CURVES[signerCertificate.curve];
+    if (signerCertificate.keyAlgorithm === OIDS.ecPublicKey && curve) {
+        const key = await crypto.subtle.importKey(
+            "spki",
+            signerCertificate.publicKeyDer,
+            { name: "ECDSA", namedCurve: curve.name },
+            false,
+            ["verify"]
+        );
+        return crypto.subtle.verify(
+            { name: "ECDSA", hash: hashAlgorithm },
+            key,
+            ecdsaSignatureToRaw(signature, curve.size),
+            signedData
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Verify a signature timestamp token. The token sits in the unsigned
+ * attributes, so it is only believed when the TSA's signature over the
+ * TSTInfo verifies and its imprint is the hash of the signature value.
+ * Resolves to the timestamp time, or null when the token doesn't verify.
+ */
+const verifyTimestampToken = async (tokenAsn1, signatureValue) => {
+    try {
+        const token = readSignedData(tokenAsn1);
+        const tstInfo = readTstInfo(tokenAsn1);
+        const imprintAlgorithm = HASH_ALGORITHMS[tstInfo.digestAlgorithm];
+        if (!token.signerCertificate || !token.hashAlgorithm || !token.content || !imprintAlgorithm) return null;
+
+        const imprint = new Uint8Array(await crypto.subtle.digest(imprintAlgorithm, signatureValue));
+        if (tstInfo.digest !== toBinaryString(imprint)) return null;
+
+        // RFC 3161 tokens always carry signed attributes; the TSA signs those, not the TSTInfo itself
+        const contentDigest = new Uint8Array(await crypto.subtle.digest(token.hashAlgorithm, token.content));
+        if (!token.signedAttributesDer || token.messageDigest !== toBinaryString(contentDigest)) return null;
+
+        return (await verifySignatureValue(token, token.signedAttributesDer)) ? tstInfo.time : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Verify one signature dictionary against the file
+ */
+const verifySignature = async (signatureDict, fieldName, pdfBytes) => {
+    const subFilter = signatureDict.lookup(PDFName.of("SubFilter"))?.decodeText?.() || null;
+    const byteRange = (signatureDict.lookup(PDFName.of("ByteRange"))?.asArray?.() || []).map(number =>
+        number.asNumber?.()
+    );
+    const contents = signatureDict.lookup(PDFName.of("Contents"));
+
+    const result = {
+        fieldName,
+        signerName: decodeText(signatureDict.lookup(PDFName.of("Name"))),
+        signingTime: decodeDate(signatureDict.lookup(PDFName.of("M"))),
+        timestampTime: null,
+        reason: decodeText(signatureDict.lookup(PDFName.of("Reason"))),
+        location: decodeText(signatureDict.lookup(PDFName.of("Location"))),
+        subFilter,
+        coversWholeDocument: false,
+        status: SIGNATURE_STATUSES.UNKNOWN,
+        message: ""
+    };
+
+    if (!SUPPORTED_SUB_FILTERS.includes(subFilter)) {
+        result.message = `Signature format ${subFilter || "(none)"} is not supported`;
+        return result;
+    }
+
+    const byteRangeProblem = getByteRangeProblem(byteRange, pdfBytes);
+    if (byteRangeProblem || !contents?.asBytes) {
+        result.status = SIGNATURE_STATUSES.INVALID;
+        result.message = byteRangeProblem || "Signature has no contents";
+        return result;
+    }
+
+    let cms;
+    try {
+        cms = readCms(contents.asBytes());
+    } catch (error) {
+        result.status = SIGNATURE_STATUSES.INVALID;
+        result.message = `Signature contents could not be read: ${error.message}`;
+        return result;
+    }
+
+    result.signerName = cms.signerCertificate?.commonName || result.signerName;
+    result.signingTime = cms.signingTime || result.signingTime;
+
+    if (!cms.signerCertificate || !cms.hashAlgorithm) {
+        result.message = "Signature uses an unsupported digest algorithm or has no signer certificate";
+        return result;
+    }
+
+    const signedBytes = getSignedBytes(pdfBytes, byteRange);
+    const documentDigest = new Uint8Array(await crypto.subtle.digest(cms.hashAlgorithm, signedBytes));
+
+    // With signed attributes the digest is in message-digest and the attributes are signed; without, the bytes themselves are
+    if (cms.signedAttributesDer && cms.messageDigest !== toBinaryString(documentDigest)) {
+        result.status = SIGNATURE_STATUSES.INVALID;
+        result.message = "The signed content has been altered";
+        return result;
+    }
+
+    let isSignatureValid;
+    try {
+        isSignatureValid = await verifySignatureValue(cms, cms.signedAttributesDer || signedBytes);
+    } catch (error) {
+        isSignatureValid = false;
+    }
+
+    if (isSignatureValid === null) {
+        result.message = "Signature algorithm is not supported";
+        return result;
+    }
+    if (!isSignatureValid) {
+        result.status = SIGNATURE_STATUSES.INVALID;
+        result.message = "The signature does not match the signer certificate";
+        return result;
+    }
+
+    result.coversWholeDocument = byteRange[2] + byteRange[3] === pdfBytes.length;
+    result.status = result.coversWholeDocument ? SIGNATURE_STATUSES.VALID : SIGNATURE_STATUSES.MODIFIED;
+    result.message = result.coversWholeDocument
+        ? "The document has not been modified since this signature was applied"
+        : "The signed revision is intact, but the document was changed after signing";
+
+    if (cms.timestampToken) {
+        result.timestampTime = await verifyTimestampToken(cms.timestampToken, cms.signature);
+        if (!result.timestampTime) {
+            result.message += "; its timestamp could not be verified and is ignored";
+        }
+    }
+    return result;
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Find and verify all signed signature fields in a PDF.
+ * Resolves to one result per signature, in document order.
+ */
+export const verifyPdfSignatures = async pdfBytes => {
+    const bytes = pdfBytes instanceof Uint8Array ? pdfBytes : new Uint8Array(pdfBytes);
+    const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+
+    const signatureFields = pdfDoc
+        .getForm()
+        .getFields()
+        .filter(field => field instanceof PDFSignature)
+        .map(field => ({ name: field.getName(), signatureDict: field.acroField.dict.lookup(PDFName.of("V")) }))
+        .filter(({ signatureDict }) => signatureDict && signatureDict.lookup);
+
+    const results = [];
+    for (const { name, signatureDict } of signatureFields) {
+        results.push(await verifySignature(signatureDict, name, bytes));
+    }
+
+    return results;
+};
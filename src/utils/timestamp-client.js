@@ -0,0 +1,172 @@
+/**
+ * Timestamp Client
+ *
+ * Requests RFC 3161 timestamp tokens from a Time Stamping Authority (TSA),
+ * so the time a document was signed comes from a trusted third party rather
+ * than the user's clock.
+ *
+ * The request carries the SHA-256 of the data to timestamp, a random nonce
+ * and certReq, so the token includes the TSA certificate. The reply is
+ * checked against the request (status, message imprint and nonce) before the
+ * token is returned. The token is a CMS SignedData signed by the TSA; its
+ * signature is not verified here, that is up to whoever relies on it.
+ *
+ * TSAs are called from the browser, so the TSA (or a proxy in front of it)
+ * must allow cross-origin POST requests.
+ */
+
+import forge from "node-forge";
+import { fetchWithRetry } from "./s3-downloader";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const OIDS = {
+    sha256: "2.16.840.1.101.3.4.2.1",
+    tstInfo: "1.2.840.113549.1.9.16.1.4"
+};
+
+// PKIStatus values that carry a token: granted (0) and grantedWithMods (1)
+const GRANTED_STATUSES = [0, 1];
+
+const { asn1 } = forge;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+const toBinaryString = bytes => forge.util.binary.raw.encode(bytes);
+const fromBinaryString = binary => forge.util.binary.raw.decode(binary);
+
+/**
+ * Random positive INTEGER content bytes for the request nonce
+ */
+const createNonce = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    // Clear the sign bit and make the first byte odd, so the INTEGER is positive and non-zero
+    const first = bytes[0] % 0x80;
+    bytes[0] = first - (first % 2) + 1;
+    return toBinaryString(bytes);
+};
+
+/**
+ * Integer content bytes as a hex string (for comparison and display)
+ */
+const toHex = binary => forge.util.bytesToHex(binary).replace(/^(00)+(?=.)/, "");
+
+/**
+ * Read the TSTInfo (the signed content) out of a parsed timestamp token
+ */
+export const readTstInfo = tokenAsn1 => {
+    // ContentInfo { contentType, [0] SignedData { version, digestAlgorithms, encapContentInfo, ... } }
+    const signedData = tokenAsn1.value[1].value[0];
+    const encapContentInfo = signedData.value[2];
+    const contentType = asn1.derToOid(encapContentInfo.value[0].value);
+    if (contentType !== OIDS.tstInfo) {
+        throw new Error(`Timestamp token has unexpected content type ${contentType}`);
+    }
+
+    // eContent may be a constructed OCTET STRING (BER); join its segments
+    const eContent = encapContentInfo.value[1].value[0];
+    const tstInfoDer = Array.isArray(eContent.value)
+        ? eContent.value.map(segment => segment.value).join("")
+        : eContent.value;
+    const [, policy, messageImprint, serialNumber, genTime, ...rest] = asn1.fromDer(tstInfoDer).value;
+
+    // accuracy and ordering are optional and come before the nonce
+    const nonce = rest.find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER);
+
+    return {
+        policy: asn1.derToOid(policy.value),
+        digestAlgorithm: asn1.derToOid(messageImprint.value[0].value[0].value),
+        digest: messageImprint.value[1].value,
+        serialNumber: toHex(serialNumber.value),
+        time: asn1.generalizedTimeToDate(genTime.value),
+        nonce: nonce ? toHex(nonce.value) : null
+    };
+};
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Build the DER TimeStampReq for a SHA-256 digest
+ */
+export const createTimestampRequest = (digest, nonce = createNonce()) => {
+    const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, String.fromCharCode(1)),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.sha256).getBytes()),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "")
+            ]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, toBinaryString(digest))
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, nonce),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff))
+    ]);
+
+    return { request: fromBinaryString(asn1.toDer(request).getBytes()), nonce: toHex(nonce) };
+};
+
+/**
+ * Parse a TimeStampResp and check it answers the request.
+ * Resolves to { token, time, serialNumber, policy }; token is the DER
+ * timestamp token (a CMS ContentInfo).
+ */
+export const parseTimestampResponse = (responseBytes, digest, nonce) => {
+    let response;
+    try {
+        response = asn1.fromDer(toBinaryString(responseBytes));
+    } catch (error) {
+        throw new Error(`Timestamp authority returned an invalid response: ${error.message}`);
+    }
+
+    const [statusInfo, tokenAsn1] = response.value;
+    const status = statusInfo.value[0].value.charCodeAt(0);
+    if (!GRANTED_STATUSES.includes(status) || !tokenAsn1) {
+        const freeText = statusInfo.value[1];
+        const statusText = Array.isArray(freeText?.value) ? freeText.value.map(text => text.value).join("; ") : "";
+        throw new Error(`Timestamp request was rejected (status ${status}${statusText ? `: ${statusText}` : ""})`);
+    }
+
+    const tstInfo = readTstInfo(tokenAsn1);
+    if (tstInfo.digestAlgorithm !== OIDS.sha256 || tstInfo.digest !== toBinaryString(digest)) {
+        throw new Error("Timestamp token does not match the requested document hash");
+    }
+    if (tstInfo.nonce !== nonce) {
+        throw new Error("Timestamp token does not match the request nonce");
+    }
+
+    return {
+        token: fromBinaryString(asn1.toDer(tokenAsn1).getBytes()),
+        time: tstInfo.time,
+        serialNumber: tstInfo.serialNumber,
+        policy: tstInfo.policy
+    };
+};
+
+/**
+ * Request a timestamp token for a SHA-256 digest from a TSA.
+ * Throttling and transient server errors are retried.
+ */
+export const requestTimestamp = async (tsaUrl, digest) => {
+    const { request, nonce } = createTimestampRequest(digest);
+
+    const response = await fetchWithRetry(tsaUrl, {
+        method: "POST",
+        mode: "cors",
+        headers: {
+            "Content-Type": "application/timestamp-query",
+            Accept: "application/timestamp-reply"
+        },
+        body: request
+    });
+    if (!response.ok) {
+        throw new Error(`Timestamp authority returned HTTP ${response.status}`);
+    }
+
+    return parseTimestampResponse(new Uint8Array(await response.arrayBuffer()), digest, nonce);
+};
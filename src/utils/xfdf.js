@@ -0,0 +1,199 @@
+/**
+ * XFDF Import/Export
+ *
+ * Exchanges placed fields with other PDF tools as XFDF annotations:
+ *
+ *   - name and date fields  -> <freetext> with the value in <contents>
+ *   - signature fields      -> <stamp> with the signature PNG in <imagedata>
+ *                              (the data URL convention used by Apryse/PDFTron;
+ *                              unsigned signature fields are stamps without one)
+ *
+ * Every annotation carries the field id in `name` and the field type in
+ * `subject`, so a round trip restores the same fields. Text and checkbox
+ * values of the document's own form fields stay in the form and are not
+ * exported as annotations. Rectangles are in PDF
+ * user space and need the page geometry recorded when the document loaded
+ * (see field-data-schema).
+ *
+ * On import, annotations from other tools are mapped by element: freetext
+ * becomes a name field, stamp becomes a signature field. Other annotation
+ * types are skipped.
+ */
+
+import { FIELD_TYPES } from "./field-data-schema";
+import { getFieldPlacement, pdfToDisplayPoint } from "./pdf-geometry";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const XFDF_NAMESPACE = "http://ns.adobe.com/xfdf/";
+
+// Default appearance of exported free text, matching the flattener's Helvetica
+const FREETEXT_APPEARANCE = "/Helv 12 Tf 0 g";
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Escape text for use in XML content and attribute values
+ */
+const escapeXml = text =>
+    String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+/**
+ * Format a date as a PDF date string (D:YYYYMMDDHHmmSSZ)
+ */
+const toPdfDate = date => `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+const roundPoints = value => Math.round(value * 100) / 100;
+
+/**
+ * Format a number for a rect attribute
+ */
+const formatCoordinate = value => String(roundPoints(value));
+
+/**
+ * Parse a rect attribute ("x1,y1,x2,y2") into a normalized box
+ */
+const parseRect = value => {
+    const numbers = (value || "").split(",").map(Number);
+    if (numbers.length !== 4 || !numbers.every(Number.isFinite)) return null;
+
+    return {
+        x: Math.min(numbers[0], numbers[2]),
+        y: Math.min(numbers[1], numbers[3]),
+        width: Math.abs(numbers[2] - numbers[0]),
+        height: Math.abs(numbers[3] - numbers[1])
+    };
+};
+
+/**
+ * Text content of the first child element with the given name
+ */
+const readChildText = (element, tagName) => {
+    const child = Array.from(element.children).find(node => node.localName === tagName);
+    return child ? child.textContent : null;
+};
+
+const clampPercent = value => Math.min(100, Math.max(0, value * 100));
+
+// ============================================================
+// CORE FUNCTIONS
+// ============================================================
+
+/**
+ * Export placed fields as an XFDF document.
+ * `pages` is the page geometry ({ page, rotation, cropBox }) of the loaded
+ * document; fields on pages without geometry are left out.
+ */
+export const exportFieldsToXfdf = (fields, pages, { fileName = null, date = new Date() } = {}) => {
+    const pdfDate = toPdfDate(date);
+
+    const annotations = fields
+        .map(field => {
+            if (field.formFieldName && field.type !== "signature") return null;
+
+            const pageInfo = pages.find(page => page.page === field.page);
+            if (!pageInfo?.cropBox) return null;
+
+            const { rect } = getFieldPlacement(field, pageInfo.cropBox, pageInfo.rotation);
+            const attributes = [
+                `page="${field.page - 1}"`,
+                `rect="${[rect.x, rect.y, rect.x + rect.width, rect.y + rect.height].map(formatCoordinate).join(",")}"`,
+                `name="${escapeXml(field.id)}"`,
+                `subject="${escapeXml(field.type)}"`,
+                `date="${pdfDate}"`,
+                `creationdate="${pdfDate}"`,
+                'flags="print"',
+                ...(pageInfo.rotation ? [`rotation="${pageInfo.rotation}"`] : []),
+                ...(field.fullName ? [`title="${escapeXml(field.fullName)}"`] : [])
+            ].join(" ");
+            const contents = field.value ? `<contents>${escapeXml(field.value)}</contents>` : "";
+
+            if (field.type === "signature") {
+                const imageData = field.signatureData ? `<imagedata>${escapeXml(field.signatureData)}</imagedata>` : "";
+                return `<stamp ${attributes} icon="Draft">${contents}${imageData}</stamp>`;
+            }
+
+            return `<freetext ${attributes}>${contents}<defaultappearance>${FREETEXT_APPEARANCE}</defaultappearance></freetext>`;
+        })
+        .filter(Boolean);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xfdf xmlns="${XFDF_NAMESPACE}" xml:space="preserve">`,
+        ...(fileName ? [`<f href="${escapeXml(fileName)}"/>`] : []),
+        "<annots>",
+        ...annotations,
+        "</annots>",
+        "</xfdf>"
+    ].join("\n");
+};
+
+/**
+ * Import fields from an XFDF document.
+ * Resolves annotation rects against the page geometry; returns the fields in
+ * the widget's model and the number of annotations that couldn't be used.
+ */
+export const importFieldsFromXfdf = (xml, pages) => {
+    const root = new DOMParser().parseFromString(xml, "application/xml").documentElement;
+
+    if (!root || root.localName !== "xfdf") {
+        throw new Error("Not an XFDF document");
+    }
+
+    const annots = Array.from(root.children).find(node => node.localName === "annots");
+    const elements = annots ? Array.from(annots.children) : [];
+    let skipped = 0;
+
+    const fields = elements.reduce((result, element) => {
+        const kind = element.localName;
+        const pageNumber = Number(element.getAttribute("page")) + 1;
+        const pageInfo = pages.find(page => page.page === pageNumber);
+        const rect = parseRect(element.getAttribute("rect"));
+
+        if ((kind !== "freetext" && kind !== "stamp") || !pageInfo?.cropBox || !rect) {
+            skipped++;
+            return result;
+        }
+
+        const subject = element.getAttribute("subject");
+        const type = FIELD_TYPES.includes(subject) ? subject : kind === "stamp" ? "signature" : "name";
+
+        // Stored positions are the center of the field on the displayed page
+        const { cropBox, rotation } = pageInfo;
+        const center = pdfToDisplayPoint(cropBox, rotation, rect.x + rect.width / 2, rect.y + rect.height / 2);
+        const isSideways = rotation === 90 || rotation === 270;
+
+        const field = {
+            id: element.getAttribute("name") || crypto.randomUUID(),
+            type,
+            page: pageNumber,
+            xPercent: clampPercent(center.u),
+            yPercent: clampPercent(center.v),
+            width: roundPoints(isSideways ? rect.height : rect.width),
+            height: roundPoints(isSideways ? rect.width : rect.height)
+        };
+
+        const contents = readChildText(element, "contents");
+        if (contents) field.value = contents;
+
+        const imageData = readChildText(element, "imagedata");
+        if (type === "signature" && imageData && imageData.startsWith("data:image/")) {
+            field.signatureData = imageData.trim();
+            field.fullName = element.getAttribute("title") || "";
+        }
+
+        result.push(field);
+        return result;
+    }, []);
+
+    return { fields, skipped };
+};